@@ -25,125 +25,2171 @@ let isCapturing = false;
 let captureStartTime = null;
 let capturedText = [];
 let seenHashes = new Set();
-let activeTabId = null;
+let nextEntryId = 1;
 
-// Limits
-const MAX_CAPTURE_SIZE = 10 * 1024 * 1024; // 10MB
+// Tabs taking part in the session: tabId -> { title }. The tab recording
+// started in comes first; others are added from the popup or, with
+// followOpenedTabs, when opened from a tab already in the session.
+let captureTabs = new Map();
+let sessionId = null;
+
+// Pause state: intervals are { start, end } ISO strings, end is null while paused
+let isPaused = false;
+let pausedIntervals = [];
+
+// Images saved during the session, as data URLs keyed by the entry's imageId
+let sessionImages = new Map();
+
+// Session left behind by a crash, reload or update (awaiting resume/export)
+let interruptedSession = null;
+
+// Limits (the size limit is a setting, in MB). currentCaptureSize counts
+// the running part only when rollOverParts splits the session into parts.
 let currentCaptureSize = 0;
 
+// User settings (stored in storage.local, edited from the popup)
+const DEFAULT_SETTINGS = {
+  exportFormat: 'text',
+  dedupThreshold: 0.9,
+  screenshotInterval: 0,
+  screenshotOnNavigation: false,
+  bundleZip: false,
+  followOpenedTabs: false,
+  groupByTab: false,
+  reviewBeforeSave: false,
+  rollOverParts: false,
+  checkpointMinutes: 0,
+  maxCaptureSizeMB: 10,
+  saveAs: true,
+  folderName: 'ACC-{date}'
+};
+let settings = { ...DEFAULT_SETTINGS };
+
+function maxCaptureSize() {
+  return settings.maxCaptureSizeMB * 1024 * 1024;
+}
+
+// ============================================================
+// OUTPUT
+// ============================================================
+
 // Get today's date formatted as YYYY-MM-DD
 function getTodayDate() {
   const now = new Date();
   return now.toISOString().split('T')[0];
 }
 
-// Generate filename with timestamp
-function generateFilename() {
-  const now = new Date();
-  const time = now.toTimeString().split(' ')[0].replace(/:/g, '-');
-  const folderName = `ACC-${getTodayDate()}`;
-  return `${folderName}/${time}_capture.txt`;
+// Download folder from settings.folderName, with {date} replaced by
+// today's date. Downloads must stay inside the downloads directory, so
+// absolute paths and ".." segments are dropped, and characters the
+// downloads API rejects in file names are replaced.
+function getFolderName() {
+  const name = settings.folderName.replace(/\{date\}/g, getTodayDate()).replace(/[:*?"<>|]/g, '_');
+  const parts = name.split(/[\\/]+/).map(part => part.trim()).filter(part => part && part !== '.' && part !== '..');
+  return parts.join('/') || `ACC-${getTodayDate()}`;
+}
+
+// Generate filename with timestamp (now, unless another time is given)
+function generateFilename(extension = 'txt', label = 'capture', date = new Date()) {
+  const time = date.toTimeString().split(' ')[0].replace(/:/g, '-');
+  return `${getFolderName()}/${time}_${label}.${extension}`;
 }
 
 // Generate image filename in the same folder
 function generateImageFilename(originalFilename) {
-  const folderName = `ACC-${getTodayDate()}`;
-  return `${folderName}/${originalFilename}`;
+  return `${getFolderName()}/${originalFilename}`;
+}
+
+// Snapshot of the running session, in the shape formatOutput() expects
+// The running part: from its own start, with only the pauses inside it
+function currentSession() {
+  const startTime = partStartTime || captureStartTime;
+  return {
+    startTime: startTime,
+    endTime: new Date(),
+    entries: capturedText,
+    images: sessionImages,
+    pausedIntervals: pausedIntervalsSince(pausedIntervals, startTime),
+    size: currentCaptureSize
+  };
+}
+
+// Pause intervals clipped to start no earlier than `time`
+function pausedIntervalsSince(intervals, time) {
+  const from = time.getTime();
+  return intervals
+    .filter(interval => !interval.end || Date.parse(interval.end) > from)
+    .map(interval => Date.parse(interval.start) >= from
+      ? interval
+      : { ...interval, start: time.toISOString() });
+}
+
+// Tabs in order of first appearance, with the most recent title seen for each
+function sessionTabs(entries) {
+  const tabs = new Map();
+  for (const entry of entries) {
+    if (entry.tabId === undefined) continue;
+    tabs.set(entry.tabId, { id: entry.tabId, title: entry.tabTitle || '' });
+  }
+  return [...tabs.values()];
+}
+
+// "tab 2" style label for an entry, or null for single-tab sessions
+function tabLabel(entry, tabs) {
+  if (tabs.length < 2) return null;
+  return `tab ${tabs.findIndex(tab => tab.id === entry.tabId) + 1}`;
+}
+
+// Export number of each entry by id, for pointing deltas at the entry they extend
+function entryNumbers(entries) {
+  return new Map(entries.map((entry, i) => [entry.id, i + 1]));
+}
+
+function continuesLabel(entry, numbers) {
+  if (!entry.deltaOf || !numbers.has(entry.deltaOf)) return null;
+  return `continues #${String(numbers.get(entry.deltaOf)).padStart(3, '0')}`;
+}
+
+// Reorder entries so each tab's entries sit together, keeping their order;
+// entries with no tab come last
+function groupEntriesByTab(session) {
+  const order = sessionTabs(session.entries).map(tab => tab.id);
+  const position = (entry) => {
+    const index = order.indexOf(entry.tabId);
+    return index === -1 ? order.length : index;
+  };
+  const entries = [...session.entries].sort((a, b) => position(a) - position(b));
+  return { ...session, entries };
+}
+
+// Milliseconds spent paused, counting an open pause up to `until`
+function pausedDuration(intervals = [], until = new Date()) {
+  return intervals.reduce((total, interval) => {
+    const start = new Date(interval.start);
+    const end = interval.end ? new Date(interval.end) : until;
+    return total + Math.max(0, Math.min(end, until) - start);
+  }, 0);
+}
+
+// Recorded time in seconds, excluding pauses
+function sessionDuration(session) {
+  const { startTime, endTime, pausedIntervals } = session;
+  return Math.round((endTime - startTime - pausedDuration(pausedIntervals, endTime)) / 1000);
+}
+
+// Pause intervals with open ones closed at the end of the session
+function closedIntervals(session) {
+  return (session.pausedIntervals || []).map(interval => ({
+    start: interval.start,
+    end: interval.end || session.endTime.toISOString()
+  }));
+}
+
+// Milliseconds of the closed intervals falling between two times (in ms)
+function pausedBetween(intervals, from, to) {
+  return intervals.reduce((total, interval) => {
+    const start = Math.max(Date.parse(interval.start), from);
+    const end = Math.min(Date.parse(interval.end), to);
+    return total + Math.max(0, end - start);
+  }, 0);
+}
+
+// Lesson an entry belongs to: the one its page reported (see COURSE
+// STRUCTURE), otherwise the tab's title, otherwise the page address
+function entryLesson(entry) {
+  if (entry.lesson) return { lesson: entry.lesson, module: entry.module || null };
+  return { lesson: entry.tabTitle || entry.url, module: null };
+}
+
+// Consecutive entries from the same lesson form a chapter:
+// { lesson, module, start, end, seconds, items: [{ entry, number }] }.
+// Time spent runs from the chapter's first entry (the start of the session
+// or part, for the first chapter) to the next chapter's, leaving out pauses.
+function sessionChapters(session) {
+  const chapters = [];
+  session.entries.forEach((entry, i) => {
+    const { lesson, module } = entryLesson(entry);
+    let chapter = chapters[chapters.length - 1];
+    if (!chapter || chapter.lesson !== lesson || chapter.module !== module) {
+      const start = chapters.length === 0 ? session.startTime.getTime() : Date.parse(entry.timestamp);
+      chapter = { lesson, module, start, items: [] };
+      chapters.push(chapter);
+    }
+    chapter.items.push({ entry, number: i + 1 });
+  });
+
+  const intervals = closedIntervals(session);
+  chapters.forEach((chapter, c) => {
+    chapter.end = c + 1 < chapters.length ? chapters[c + 1].start : session.endTime.getTime();
+    const spent = chapter.end - chapter.start - pausedBetween(intervals, chapter.start, chapter.end);
+    chapter.seconds = Math.max(0, Math.round(spent / 1000));
+  });
+  return chapters;
+}
+
+function chapterTitle(chapter) {
+  return chapter.module ? `${chapter.module} › ${chapter.lesson}` : chapter.lesson;
+}
+
+// "1h 05m", "12m 30s" or "45s"
+function formatTimeSpent(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  if (hours > 0) return `${hours}h ${String(mins).padStart(2, '0')}m`;
+  if (mins > 0) return `${mins}m ${String(secs).padStart(2, '0')}s`;
+  return `${secs}s`;
+}
+
+// "#001" or "#001–#014"
+function entryRange(chapter) {
+  const first = String(chapter.items[0].number).padStart(3, '0');
+  const last = String(chapter.items[chapter.items.length - 1].number).padStart(3, '0');
+  return first === last ? `#${first}` : `#${first}–#${last}`;
+}
+
+// ============================================================
+// ENTRY RENDERING
+// ============================================================
+
+// Entries captured in structured mode carry `blocks`:
+// { type: 'heading', level, text }, { type: 'paragraph', text },
+// { type: 'list-item', ordered, depth, text } or { type: 'code', text }.
+// Each export format renders them with its own markup.
+
+// Number ordered list items per depth, restarting after any other block
+function numberListItems(blocks) {
+  const counters = [];
+  return blocks.map((block) => {
+    if (block.type !== 'list-item') {
+      counters.length = 0;
+      return null;
+    }
+    counters.length = block.depth;
+    counters[block.depth - 1] = (counters[block.depth - 1] || 0) + 1;
+    return counters[block.depth - 1];
+  });
+}
+
+function blocksToText(blocks) {
+  const numbers = numberListItems(blocks);
+  return blocks.map((block, i) => {
+    switch (block.type) {
+      case 'heading':
+        return `${block.text}\n${(block.level === 1 ? '=' : '-').repeat(Math.min(block.text.length, 60))}`;
+      case 'list-item': {
+        const indent = '  '.repeat(block.depth - 1);
+        return `${indent}${block.ordered ? numbers[i] + '.' : '•'} ${block.text}`;
+      }
+      case 'code':
+        return block.text.split('\n').map(line => '    ' + line).join('\n');
+      default:
+        return block.text;
+    }
+  }).join('\n\n');
+}
+
+// Captured headings sit below the export's own title and page headings
+function blocksToMarkdown(blocks) {
+  return blocks.map((block) => {
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(Math.min(block.level + 2, 6))} ${escapeMarkdown(block.text)}`;
+      case 'list-item':
+        return `${'  '.repeat(block.depth - 1)}${block.ordered ? '1.' : '-'} ${escapeMarkdown(block.text)}`;
+      case 'code': {
+        // The fence must be longer than any run of backticks in the code
+        const longestRun = Math.max(0, ...(block.text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longestRun + 1));
+        return `${fence}\n${block.text}\n${fence}`;
+      }
+      default:
+        return escapeMarkdown(block.text);
+    }
+  }).join('\n\n');
+}
+
+function blocksToHtml(blocks) {
+  const html = [];
+  let openList = null;
+
+  for (const block of blocks) {
+    const listTag = block.type === 'list-item' ? (block.ordered ? 'ol' : 'ul') : null;
+    if (openList && openList !== listTag) {
+      html.push(`</${openList}>`);
+      openList = null;
+    }
+    if (listTag && !openList) {
+      html.push(`<${listTag}>`);
+      openList = listTag;
+    }
+
+    switch (block.type) {
+      case 'heading': {
+        const level = Math.min(block.level + 2, 6);
+        html.push(`<h${level}>${escapeHtml(block.text)}</h${level}>`);
+        break;
+      }
+      case 'list-item':
+        html.push(`<li style="margin-left: ${(block.depth - 1) * 20}px">${escapeHtml(block.text)}</li>`);
+        break;
+      case 'code':
+        html.push(`<pre><code>${escapeHtml(block.text)}</code></pre>`);
+        break;
+      default:
+        html.push(`<p>${escapeHtml(block.text)}</p>`);
+    }
+  }
+  if (openList) html.push(`</${openList}>`);
+
+  return html.join('\n');
+}
+
+// "1:02:03" or "2:03"
+function formatMediaTime(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(mins).padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
+}
+
+function hasMediaTime(entry) {
+  return entry.mediaTime !== null && entry.mediaTime !== undefined;
+}
+
+// Which video an entry belongs to and where in it
+function mediaLabel(entry) {
+  if (!hasMediaTime(entry)) return entry.videoTitle;
+  return `${entry.videoTitle} @ ${formatMediaTime(entry.mediaTime)}`;
+}
+
+// Address that opens the video at the entry's position, where the player's
+// URL format is known; otherwise the export shows just the time
+function videoDeepLink(entry) {
+  if (!hasMediaTime(entry)) return null;
+  const seconds = Math.floor(entry.mediaTime);
+
+  try {
+    const page = new URL(entry.videoPage);
+    if (/(^|\.)(youtube\.com|youtube-nocookie\.com|youtu\.be)$/.test(page.hostname)) {
+      page.searchParams.set('t', `${seconds}s`);
+      return page.href;
+    }
+    if (/(^|\.)vimeo\.com$/.test(page.hostname)) {
+      page.hash = `t=${seconds}s`;
+      return page.href;
+    }
+  } catch (e) {}
+
+  // A media fragment starts a plain video file at the time
+  if (entry.videoSrc) {
+    try {
+      const src = new URL(entry.videoSrc);
+      src.hash = `t=${seconds}`;
+      return src.href;
+    } catch (e) {}
+  }
+  return null;
+}
+
+function markdownMediaLabel(entry) {
+  const label = escapeMarkdown(mediaLabel(entry));
+  const link = videoDeepLink(entry);
+  return link ? `[${label}](${link.replace(/\(/g, '%28').replace(/\)/g, '%29')})` : label;
+}
+
+function htmlMediaLabel(entry) {
+  const label = escapeHtml(mediaLabel(entry));
+  const link = videoDeepLink(entry);
+  return link ? `<a href="${escapeHtml(link)}">${label}</a>` : label;
+}
+
+// Video position shown with the location of entries captured while a video
+// played (captions show it in their body instead)
+function playbackMarker(entry, render = mediaLabel) {
+  if (entry.type === 'caption' || !hasMediaTime(entry)) return null;
+  return `▶ ${render(entry)}`;
+}
+
+// Quiz entries carry the question, its options ({ text, selected, correct })
+// and any feedback the page showed; `multiple` when they are checkboxes
+function quizOptionBox(quiz, option) {
+  if (quiz.multiple) return option.selected ? '[x]' : '[ ]';
+  return option.selected ? '(•)' : '( )';
+}
+
+function quizOptionMark(option) {
+  if (option.correct === true) return ' ✓';
+  if (option.correct === false) return ' ✗';
+  return '';
+}
+
+function quizResultLabel(entry) {
+  if (entry.result === 'correct') return ' (answered correctly)';
+  if (entry.result === 'incorrect') return ' (answered incorrectly)';
+  return '';
 }
 
+function quizToText(entry) {
+  return [
+    `? QUIZ${quizResultLabel(entry)}: ${entry.question}`,
+    ...entry.options.map(option => `  ${quizOptionBox(entry, option)} ${option.text}${quizOptionMark(option)}`),
+    ...(entry.feedback ? [`  Feedback: ${entry.feedback}`] : [])
+  ].join('\n');
+}
+
+function quizToMarkdown(entry) {
+  return [
+    `**Quiz${quizResultLabel(entry)}:** ${escapeMarkdown(entry.question)}`,
+    '',
+    ...entry.options.map(option => `- ${option.selected ? '**' : ''}${quizOptionBox(entry, option)} ${escapeMarkdown(option.text)}${option.selected ? '**' : ''}${quizOptionMark(option)}`),
+    ...(entry.feedback ? ['', `> ${escapeMarkdown(entry.feedback)}`] : [])
+  ].join('\n');
+}
+
+function quizToHtml(entry) {
+  const options = entry.options.map((option) => {
+    const classes = [option.selected && 'selected', option.correct === true && 'correct', option.correct === false && 'incorrect'].filter(Boolean);
+    const classAttr = classes.length > 0 ? ` class="${classes.join(' ')}"` : '';
+    return `<li${classAttr}>${quizOptionBox(entry, option)} ${escapeHtml(option.text)}${quizOptionMark(option)}</li>`;
+  }).join('');
+  const feedback = entry.feedback ? `<p class="feedback">${escapeHtml(entry.feedback)}</p>` : '';
+  return `<div class="quiz"><p class="question"><strong>Quiz${quizResultLabel(entry)}:</strong> ${escapeHtml(entry.question)}</p><ul>${options}</ul>${feedback}</div>`;
+}
+
+// Text read from somewhere other than the page's text nodes says where
+function sourceLabel(entry) {
+  switch (entry.source) {
+    case 'alt': return 'Alt text';
+    case 'aria-label': return 'Label';
+    case 'title': return 'Title';
+    case 'input': return 'Form value';
+    case 'select': return 'Selected';
+    case 'pdf-page': return `PDF page ${entry.pdfPage}`;
+    default: return null;
+  }
+}
+
+function textEntryBody(entry) {
+  if (entry.type === 'image') return `Image saved: ${entry.filename} (${entry.text})`;
+  if (entry.type === 'screenshot') return `Screenshot saved: ${entry.filename} (${entry.text})`;
+  if (entry.type === 'caption') return `[${mediaLabel(entry)}] ${entry.text}`;
+  if (entry.type === 'highlight') return `★ HIGHLIGHT: "${entry.text}"`;
+  if (entry.type === 'note') return `✎ NOTE: ${entry.text}`;
+  if (entry.type === 'quiz') return quizToText(entry);
+  if (sourceLabel(entry)) return `[${sourceLabel(entry)}] ${entry.text}`;
+  if (entry.blocks) return blocksToText(entry.blocks);
+  return entry.text;
+}
+
+// Continue a blockquote over every line of a multi-line note
+function quoteMarkdown(text) {
+  return text.split('\n').map(escapeMarkdown).join('\n> ');
+}
+
+function markdownEntryBody(entry) {
+  if (entry.type === 'image') return `![${escapeMarkdown(entry.text)}](${encodeURI(entry.filename)})`;
+  if (entry.type === 'screenshot') return `![Screenshot: ${escapeMarkdown(entry.text)}](${encodeURI(entry.filename)})`;
+  if (entry.type === 'caption') return `*${markdownMediaLabel(entry)}* ${escapeMarkdown(entry.text)}`;
+  if (entry.type === 'highlight') return `> ★ **Highlight:** ${quoteMarkdown(entry.text)}`;
+  if (entry.type === 'note') return `> ✎ **Note:** ${quoteMarkdown(entry.text)}`;
+  if (entry.type === 'quiz') return quizToMarkdown(entry);
+  if (sourceLabel(entry)) return `*${sourceLabel(entry)}:* ${entry.text.split('\n').map(escapeMarkdown).join('  \n')}`;
+  if (entry.blocks) return blocksToMarkdown(entry.blocks);
+  return escapeMarkdown(entry.text);
+}
+
+function htmlEntryBody(entry, images) {
+  if (entry.type === 'image') {
+    const src = images.get(entry.imageId) || entry.imageUrl;
+    return `<figure><img src="${escapeHtml(src)}" alt="${escapeHtml(entry.text)}"><figcaption>${escapeHtml(entry.filename)}</figcaption></figure>`;
+  }
+  if (entry.type === 'screenshot') {
+    return `<figure class="screenshot"><img src="${escapeHtml(images.get(entry.imageId) || '')}" alt="Screenshot: ${escapeHtml(entry.text)}"><figcaption>Screenshot · ${escapeHtml(entry.filename)}</figcaption></figure>`;
+  }
+  if (entry.type === 'caption') {
+    return `<p class="caption"><span class="caption-label">${htmlMediaLabel(entry)}</span> ${escapeHtml(entry.text)}</p>`;
+  }
+  if (entry.type === 'highlight') return `<blockquote class="highlight">${escapeHtml(entry.text)}</blockquote>`;
+  if (entry.type === 'note') return `<div class="note"><strong>Note:</strong> ${escapeHtml(entry.text)}</div>`;
+  if (entry.type === 'quiz') return quizToHtml(entry);
+  if (sourceLabel(entry)) return `<p><span class="source-label">${escapeHtml(sourceLabel(entry))}</span> ${escapeHtml(entry.text)}</p>`;
+  if (entry.blocks) return blocksToHtml(entry.blocks);
+  return `<p>${escapeHtml(entry.text)}</p>`;
+}
+
+// ============================================================
+// EXPORT FORMATS
+// ============================================================
+
 // Format captured text for output
-function formatOutput() {
-  const endTime = new Date();
+function formatOutput(session) {
+  const { startTime, endTime, entries, size } = session;
+  const tabs = sessionTabs(entries);
   
   const header = [
     '═'.repeat(60),
     "ADRIAN'S COURSE CAPTURE",
     '═'.repeat(60),
     '',
-    `Started:  ${captureStartTime.toISOString()}`,
+    `Started:  ${startTime.toISOString()}`,
     `Ended:    ${endTime.toISOString()}`,
-    `Duration: ${Math.round((endTime - captureStartTime) / 1000)} seconds`,
-    `Entries:  ${capturedText.length}`,
-    `Size:     ${(currentCaptureSize / 1024).toFixed(1)} KB`,
+    `Duration: ${sessionDuration(session)} seconds`,
+    ...pausedHeaderLines(session),
+    ...tabHeaderLines(tabs),
+    `Entries:  ${entries.length}`,
+    `Size:     ${(size / 1024).toFixed(1)} KB`,
     '',
     '─'.repeat(60),
     ''
   ].join('\n');
 
-  const body = capturedText.map((entry, i) => {
-    const timeOffset = Math.round((new Date(entry.timestamp) - captureStartTime) / 1000);
-    return [
-      `[${String(i + 1).padStart(3, '0')}] +${timeOffset}s | ${entry.frameId} | ${entry.url}`,
-      entry.text,
-      ''
-    ].join('\n');
+  const chapters = sessionChapters(session);
+  const contents = [
+    'CONTENTS',
+    '',
+    ...chapters.map((chapter, c) => `${String(c + 1).padStart(3)}. ${chapterTitle(chapter)} | ${formatTimeSpent(chapter.seconds)} | ${entryRange(chapter)}`),
+    '',
+    '─'.repeat(60),
+    ''
+  ].join('\n');
+
+  const numbers = entryNumbers(entries);
+  const body = chapters.map((chapter, c) => {
+    const heading = [`${c + 1}. ${chapterTitle(chapter)}`, '═'.repeat(60), ''].join('\n');
+    const items = chapter.items.map(({ entry, number }) => {
+      const timeOffset = Math.round((new Date(entry.timestamp) - startTime) / 1000);
+      const location = [tabLabel(entry, tabs), entry.frameId, entry.url, playbackMarker(entry), continuesLabel(entry, numbers)].filter(Boolean).join(' | ');
+      return [
+        `[${String(number).padStart(3, '0')}] +${timeOffset}s | ${location}`,
+        textEntryBody(entry),
+        ''
+      ].join('\n');
+    });
+    return [heading, ...items].join('\n');
+  }).join('\n');
+
+  return header + contents + body;
+}
+
+// Plain text header lines listing every pause, if there were any
+function pausedHeaderLines(session) {
+  const intervals = closedIntervals(session);
+  if (intervals.length === 0) return [];
+  
+  const pausedSeconds = Math.round(pausedDuration(intervals, session.endTime) / 1000);
+  return [
+    `Paused:   ${pausedSeconds} seconds in ${intervals.length} interval${intervals.length === 1 ? '' : 's'}`,
+    ...intervals.map(interval => `          ${interval.start} → ${interval.end}`)
+  ];
+}
+
+// Plain text header lines naming each tab of a multi-tab session
+function tabHeaderLines(tabs) {
+  if (tabs.length < 2) return [];
+  
+  return [
+    `Tabs:     ${tabs.length}`,
+    ...tabs.map((tab, i) => `          tab ${i + 1}: ${tab.title}`)
+  ];
+}
+
+// Escape characters that would turn captured text into Markdown structure
+function escapeMarkdown(text) {
+  return text
+    .replace(/[\\`*_[\]<>]/g, '\\$&')
+    .replace(/^(\s*)([#>+-]|\d+\.)/, '$1\\$2');
+}
+
+function pausedFrontMatter(session) {
+  const intervals = closedIntervals(session);
+  if (intervals.length === 0) return [];
+  
+  return [
+    `paused_seconds: ${Math.round(pausedDuration(intervals, session.endTime) / 1000)}`,
+    'paused_intervals:',
+    ...intervals.map(interval => `  - { start: ${interval.start}, end: ${interval.end} }`)
+  ];
+}
+
+// Format captured text as Markdown: contents, then one section per
+// chapter with a link line wherever the page changes
+function formatMarkdown(session) {
+  const { startTime, endTime, entries, size } = session;
+  const tabs = sessionTabs(entries);
+
+  const frontMatter = [
+    '---',
+    `title: "Adrian's Course Capture"`,
+    `started: ${startTime.toISOString()}`,
+    `ended: ${endTime.toISOString()}`,
+    `duration_seconds: ${sessionDuration(session)}`,
+    `entries: ${entries.length}`,
+    `size_kb: ${(size / 1024).toFixed(1)}`,
+    ...pausedFrontMatter(session),
+    ...(tabs.length > 1 ? ['tabs:', ...tabs.map(tab => `  - ${JSON.stringify(tab.title)}`)] : []),
+    '---',
+    '',
+    "# Adrian's Course Capture",
+    ''
+  ].join('\n');
+
+  const chapters = sessionChapters(session);
+  const contents = [
+    '## Contents',
+    '',
+    ...chapters.map((chapter, c) => `${c + 1}. ${escapeMarkdown(chapterTitle(chapter))} — ${formatTimeSpent(chapter.seconds)} (${entryRange(chapter)})`),
+    ''
+  ].join('\n');
+
+  const numbers = entryNumbers(entries);
+  const body = chapters.map((chapter, c) => {
+    const lines = [`## ${c + 1}. ${escapeMarkdown(chapter.lesson)}`, ''];
+    if (chapter.module) {
+      lines.push(`*${escapeMarkdown(chapter.module)}* · ${formatTimeSpent(chapter.seconds)}`, '');
+    } else {
+      lines.push(`*${formatTimeSpent(chapter.seconds)}*`, '');
+    }
+
+    let lastUrl = null;
+    for (const { entry, number } of chapter.items) {
+      const timeOffset = Math.round((new Date(entry.timestamp) - startTime) / 1000);
+
+      // Note the page whenever it changes
+      if (entry.url !== lastUrl) {
+        lastUrl = entry.url;
+        lines.push(`<${entry.url}>`, '');
+      }
+
+      const location = [tabLabel(entry, tabs), entry.frameId, playbackMarker(entry, markdownMediaLabel), continuesLabel(entry, numbers)].filter(Boolean).join(' · ');
+      lines.push(
+        `> **#${String(number).padStart(3, '0')}** · +${timeOffset}s · ${location}`,
+        '',
+        markdownEntryBody(entry),
+        ''
+      );
+    }
+    return lines.join('\n');
+  }).join('\n');
+
+  return frontMatter + '\n' + contents + '\n' + body;
+}
+
+// Version of the JSON/JSONL field set. Bump it whenever a field is renamed,
+// removed or changes meaning so downstream scripts can tell the difference.
+const EXPORT_SCHEMA = 'acc-capture';
+const EXPORT_SCHEMA_VERSION = 2;
+
+// Session-level fields shared by the JSON and JSONL exports
+function exportMetadata(session) {
+  const { startTime, endTime, entries, size } = session;
+  return {
+    schema: EXPORT_SCHEMA,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    generator: `Adrian's Course Capture ${browser.runtime.getManifest().version}`,
+    startTime: startTime.toISOString(),
+    endTime: endTime.toISOString(),
+    durationSeconds: sessionDuration(session),
+    pausedIntervals: closedIntervals(session),
+    tabs: sessionTabs(entries),
+    chapters: sessionChapters(session).map(chapter => ({
+      lesson: chapter.lesson,
+      module: chapter.module,
+      startTime: new Date(chapter.start).toISOString(),
+      endTime: new Date(chapter.end).toISOString(),
+      timeSpentSeconds: chapter.seconds,
+      firstEntry: chapter.items[0].number,
+      entryCount: chapter.items.length
+    })),
+    entryCount: entries.length,
+    sizeBytes: size
+  };
+}
+
+// Lossless JSON: session metadata plus every entry exactly as captured
+function formatJson(session) {
+  return JSON.stringify({
+    ...exportMetadata(session),
+    entries: session.entries
+  }, null, 2);
+}
+
+// JSON Lines: a session record first, then one entry record per line
+function formatJsonLines(session) {
+  const lines = [JSON.stringify({ record: 'session', ...exportMetadata(session) })];
+  for (const entry of session.entries) {
+    lines.push(JSON.stringify({ record: 'entry', ...entry }));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const HTML_REPORT_STYLE = `
+  body { max-width: 860px; margin: 40px auto; padding: 0 20px; font: 16px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #222; }
+  header { border-bottom: 3px solid #e74c3c; margin-bottom: 24px; }
+  h1 { margin-bottom: 4px; }
+  .meta { color: #666; font-size: 14px; }
+  nav { background: #f6f6f8; border-radius: 6px; padding: 12px 20px; margin-bottom: 32px; }
+  nav ol { margin: 0; padding-left: 20px; }
+  nav .time { color: #888; font-size: 13px; }
+  section h2 { font-size: 20px; border-bottom: 1px solid #ddd; padding-bottom: 4px; margin: 40px 0 4px; }
+  .chapter-meta { color: #666; font-size: 14px; margin: 0 0 8px; }
+  .page { font-size: 13px; word-break: break-all; margin: 16px 0 0; }
+  .entry { margin: 16px 0; }
+  .entry-meta { color: #888; font-size: 12px; font-family: monospace; }
+  .entry p { margin: 4px 0 0; white-space: pre-wrap; }
+  .entry h3, .entry h4, .entry h5, .entry h6 { margin: 12px 0 4px; }
+  .entry ul, .entry ol { margin: 4px 0; }
+  .entry pre { background: #f6f6f8; padding: 10px; border-radius: 4px; overflow-x: auto; }
+  figure { margin: 8px 0 0; }
+  figure img { max-width: 100%; border: 1px solid #ddd; border-radius: 4px; }
+  figure.screenshot img { box-shadow: 0 2px 8px rgba(0,0,0,0.2); }
+  figcaption { color: #666; font-size: 13px; }
+  .caption-label { color: #c0392b; font-size: 13px; font-weight: 600; }
+  .source-label { color: #888; font-size: 13px; font-weight: 600; }
+  .quiz { margin: 4px 0 0; padding: 6px 12px; background: #f6f6f8; border-left: 4px solid #8e44ad; }
+  .quiz .question { margin: 0; }
+  .quiz ul { list-style: none; padding-left: 8px; margin: 4px 0; }
+  .quiz li.selected { font-weight: 600; }
+  .quiz li.correct { color: #27ae60; }
+  .quiz li.incorrect { color: #c0392b; }
+  .quiz .feedback { margin: 4px 0 0; color: #555; font-style: italic; }
+  .highlight { margin: 4px 0 0; padding: 6px 12px; background: #fff4c2; border-left: 4px solid #f1c40f; white-space: pre-wrap; }
+  .note { margin: 4px 0 0; padding: 6px 12px; background: #e8f1fb; border-left: 4px solid #3498db; white-space: pre-wrap; }
+`;
+
+function pausedSummary(session) {
+  const intervals = closedIntervals(session);
+  if (intervals.length === 0) return '';
+  const pausedSeconds = Math.round(pausedDuration(intervals, session.endTime) / 1000);
+  return ` (plus ${pausedSeconds} seconds paused ${intervals.length}×)`;
+}
+
+// Self-contained HTML report: table of contents by lesson, timestamped
+// entries, and saved images inlined where they were saved
+function formatHtml(session) {
+  const { startTime, endTime, entries, size } = session;
+  const images = session.images || new Map();
+  const tabs = sessionTabs(entries);
+  const chapters = sessionChapters(session);
+
+  const numbers = entryNumbers(entries);
+  const toc = chapters.map((chapter, c) =>
+    `<li><a href="#chapter-${c + 1}">${escapeHtml(chapterTitle(chapter))}</a> <span class="time">${formatTimeSpent(chapter.seconds)} · ${chapter.items.length} ${chapter.items.length === 1 ? 'entry' : 'entries'}</span></li>`
+  ).join('\n');
+
+  const body = chapters.map((chapter, c) => {
+    let lastUrl = null;
+    const items = chapter.items.map(({ entry, number }) => {
+      const timeOffset = Math.round((new Date(entry.timestamp) - startTime) / 1000);
+      const time = new Date(entry.timestamp).toLocaleTimeString();
+      // The playback marker is already HTML
+      const location = [
+        ...[tabLabel(entry, tabs), entry.frameId].map(part => part && escapeHtml(part)),
+        playbackMarker(entry, htmlMediaLabel),
+        continuesLabel(entry, numbers)
+      ].filter(Boolean).join(' · ');
+      const meta = `<div class="entry-meta">#${String(number).padStart(3, '0')} · ${escapeHtml(time)} · +${timeOffset}s · ${location}</div>`;
+
+      // Note the page whenever it changes
+      let page = '';
+      if (entry.url !== lastUrl) {
+        lastUrl = entry.url;
+        page = `<p class="page"><a href="${escapeHtml(entry.url)}">${escapeHtml(entry.url)}</a></p>\n`;
+      }
+
+      return `${page}<div class="entry" id="entry-${number}">${meta}${htmlEntryBody(entry, images)}</div>`;
+    }).join('\n');
+
+    const chapterMeta = [chapter.module, formatTimeSpent(chapter.seconds)].filter(Boolean).map(escapeHtml).join(' · ');
+    return `<section id="chapter-${c + 1}"><h2>${c + 1}. ${escapeHtml(chapter.lesson)}</h2>\n<p class="chapter-meta">${chapterMeta}</p>\n${items}\n</section>`;
   }).join('\n');
 
-  return header + body;
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Adrian's Course Capture - ${escapeHtml(startTime.toLocaleString())}</title>
+<style>${HTML_REPORT_STYLE}</style>
+</head>
+<body>
+<header>
+<h1>Adrian's Course Capture</h1>
+<p class="meta">${escapeHtml(startTime.toLocaleString())} – ${escapeHtml(endTime.toLocaleString())} · ${sessionDuration(session)} seconds${pausedSummary(session)} · ${entries.length} entries · ${(size / 1024).toFixed(1)} KB</p>
+</header>
+<nav>
+<strong>Contents</strong>
+<ol>
+${toc}
+</ol>
+</nav>
+${body}
+</body>
+</html>
+`;
+}
+
+// Export formats selectable from the popup
+const EXPORT_FORMATS = {
+  text: {
+    label: 'Plain text',
+    extension: 'txt',
+    mimeType: 'text/plain;charset=utf-8',
+    format: formatOutput
+  },
+  markdown: {
+    label: 'Markdown',
+    extension: 'md',
+    mimeType: 'text/markdown;charset=utf-8',
+    format: formatMarkdown
+  },
+  json: {
+    label: 'JSON',
+    extension: 'json',
+    mimeType: 'application/json;charset=utf-8',
+    format: formatJson
+  },
+  jsonl: {
+    label: 'JSON Lines',
+    extension: 'jsonl',
+    mimeType: 'application/x-ndjson;charset=utf-8',
+    format: formatJsonLines
+  },
+  html: {
+    label: 'HTML report',
+    extension: 'html',
+    mimeType: 'text/html;charset=utf-8',
+    format: formatHtml
+  }
+};
+
+function getExportFormat(id) {
+  return EXPORT_FORMATS[id] || EXPORT_FORMATS[DEFAULT_SETTINGS.exportFormat];
+}
+
+// Hand a finished file to the downloads API
+function downloadBlob(blob, filename, { saveAs = settings.saveAs, conflictAction = "uniquify" } = {}) {
+  const url = URL.createObjectURL(blob);
+  
+  console.log("[ACC] Blob URL created, initiating download...");
+  
+  browser.downloads.download({
+    url: url,
+    filename: filename,
+    saveAs: saveAs,
+    conflictAction: conflictAction
+  }).then((downloadId) => {
+    console.log("[ACC] Download started, ID:", downloadId);
+    // Revoke after a delay to ensure download completes
+    setTimeout(() => {
+      URL.revokeObjectURL(url);
+      console.log("[ACC] Blob URL revoked");
+    }, 60000); // Keep URL valid for 60 seconds
+  }).catch((error) => {
+    console.error("[ACC] Download failed:", error);
+    URL.revokeObjectURL(url);
+  });
+}
+
+// Save the capture to file. `download` can name the file after another
+// time and override downloadBlob()'s options (checkpoints overwrite theirs).
+async function saveCapture(session, formatId = settings.exportFormat, label = 'capture', download = {}) {
+  if (settings.groupByTab) {
+    session = groupEntriesByTab(session);
+  }
+  const exportFormat = getExportFormat(formatId);
+  if (settings.bundleZip) {
+    session = withArchiveNames(session, exportFormat);
+  }
+  const content = exportFormat.format(session);
+  
+  if (content && session.entries.length > 0) {
+    console.log("[ACC] Preparing to save", session.entries.length, "entries...");
+    
+    try {
+      if (settings.bundleZip) {
+        const archive = await createSessionArchive(session, exportFormat, content);
+        downloadBlob(archive, generateFilename('zip', label, download.time), download);
+      } else {
+        const blob = new Blob([content], { type: exportFormat.mimeType });
+        downloadBlob(blob, generateFilename(exportFormat.extension, label, download.time), download);
+      }
+    } catch (e) {
+      console.error("[ACC] Error creating download:", e);
+    }
+  } else {
+    console.log("[ACC] No content captured, skipping save.");
+  }
+}
+
+// ============================================================
+// ZIP ARCHIVES
+// ============================================================
+
+// Minimal ZIP writer so a session can be bundled without any external
+// service. Text is deflated with CompressionStream; images are stored
+// as-is since they are already compressed.
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+async function deflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// files: [{ name, data: Uint8Array, compress: boolean }]
+async function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(modified);
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+    const body = file.compress ? await deflateRaw(file.data) : file.data;
+    const method = file.compress ? 8 : 0;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, body.length, true);
+    local.setUint32(22, file.data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 20, true);
+    header.setUint16(8, 0x0800, true);
+    header.setUint16(10, method, true);
+    header.setUint16(12, time, true);
+    header.setUint16(14, date, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, body.length, true);
+    header.setUint32(24, file.data.length, true);
+    header.setUint16(28, name.length, true);
+    header.setUint32(42, offset, true);
+
+    parts.push(local, name, body);
+    central.push(header, name);
+    offset += 30 + name.length + body.length;
+  }
+
+  const centralSize = central.reduce((total, part) => total + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+async function dataUrlToBytes(dataUrl) {
+  const response = await fetch(dataUrl);
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// One archive per session: the transcript, a manifest and every image
+// saved while recording
+function archiveTranscriptName(exportFormat) {
+  return `capture.${exportFormat.extension}`;
+}
+
+// Give every saved image a file name of its own in the archive before the
+// transcript is rendered, so its links point at the files next to it
+function withArchiveNames(session, exportFormat) {
+  const images = session.images || new Map();
+  const usedNames = new Set([archiveTranscriptName(exportFormat), 'manifest.json']);
+  const names = new Map();
+  
+  const entries = session.entries.map((entry) => {
+    if (!entry.imageId || !images.has(entry.imageId)) return entry;
+    
+    let name = names.get(entry.imageId);
+    if (!name) {
+      name = entry.filename;
+      if (usedNames.has(name)) {
+        name = name.replace(/(\.[^.]+)?$/, `-${entry.imageId}$1`);
+      }
+      usedNames.add(name);
+      names.set(entry.imageId, name);
+    }
+    return name === entry.filename ? entry : { ...entry, filename: name };
+  });
+  return { ...session, entries };
+}
+
+// Expects a session passed through withArchiveNames()
+async function createSessionArchive(session, exportFormat, content) {
+  const encoder = new TextEncoder();
+  const transcriptName = archiveTranscriptName(exportFormat);
+  const files = [{ name: transcriptName, data: encoder.encode(content), compress: true }];
+  const manifestFiles = [{ name: transcriptName, type: 'transcript' }];
+  const addedImages = new Set();
+  const images = session.images || new Map();
+
+  for (const entry of session.entries) {
+    if (!entry.imageId || !images.has(entry.imageId) || addedImages.has(entry.imageId)) continue;
+    addedImages.add(entry.imageId);
+
+    // Images sit next to the transcript so its relative links resolve
+    const name = entry.filename;
+    files.push({ name, data: await dataUrlToBytes(images.get(entry.imageId)), compress: false });
+    manifestFiles.push({ name, type: entry.type, imageUrl: entry.imageUrl || entry.url, timestamp: entry.timestamp });
+  }
+
+  const manifest = { ...exportMetadata(session), format: exportFormat.label, files: manifestFiles };
+  files.splice(1, 0, {
+    name: 'manifest.json',
+    data: encoder.encode(JSON.stringify(manifest, null, 2)),
+    compress: true
+  });
+
+  return createZip(files, session.endTime);
+}
+
+// ============================================================
+// DEDUPLICATION
+// ============================================================
+
+// Exact repeats are caught by a hash of the full text. Near-duplicates are
+// caught by comparing MinHash signatures of word shingles with those of
+// recent entries (settings.dedupThreshold is the estimated Jaccard
+// similarity at which two texts count as the same; 1 turns this off).
+// Text that grows in place (a 'modified' text node gaining a sentence at
+// its end or start) is recorded as just the new text, with `deltaOf`
+// pointing at the entry it extends.
+
+const SHINGLE_SIZE = 4;       // Words per shingle
+const MINHASH_SIZE = 64;      // Signature length
+const DEDUP_WINDOW = 500;     // Recent entries compared against
+const MIN_GROWTH_BASE = 20;   // Shortest text treated as the start of a growing block
+
+// Recently accepted texts: { id, text, signature, url, frameId }, newest last
+let recentEntries = [];
+
+// SHA-256 of every image saved this session, so auto-save skips repeats
+let savedImageHashes = new Set();
+
+// Perceptual hashes of this session's screenshots (see SCREENSHOTS)
+let screenshotHashes = [];
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// MurmurHash3 finalizer - turns one shingle hash into MINHASH_SIZE independent ones
+function mixHash(hash, seed) {
+  let h = (hash ^ seed) >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+const MINHASH_SEEDS = Array.from({ length: MINHASH_SIZE }, (_, i) => fnv1a(`acc-minhash-${i}`));
+
+function entryHash(text) {
+  return `${fnv1a(text).toString(16)}:${text.length}`;
+}
+
+// Captions repeat short lines ("Right.") all through a lecture, so they
+// only count as repeats of the same line at the same point of the same video
+function dedupKey(entry) {
+  if (entry.type === 'caption') {
+    return entryHash(`${entry.videoTitle}\n${entry.mediaTime}\n${entry.text}`);
+  }
+  return entryHash(entry.text);
+}
+
+// Signature of the text's word shingles, or null if it is too short to compare
+function minhashSignature(text) {
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length < SHINGLE_SIZE) return null;
+
+  const signature = new Array(MINHASH_SIZE).fill(0xFFFFFFFF);
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    const shingle = fnv1a(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    for (let k = 0; k < MINHASH_SIZE; k++) {
+      const hash = mixHash(shingle, MINHASH_SEEDS[k]);
+      if (hash < signature[k]) signature[k] = hash;
+    }
+  }
+  return signature;
+}
+
+// Estimated Jaccard similarity of the two shingle sets
+function estimateSimilarity(a, b) {
+  let matches = 0;
+  for (let k = 0; k < MINHASH_SIZE; k++) {
+    if (a[k] === b[k]) matches++;
+  }
+  return matches / MINHASH_SIZE;
+}
+
+function rememberRecent(item) {
+  recentEntries.push(item);
+  if (recentEntries.length > DEDUP_WINDOW) {
+    recentEntries.shift();
+  }
+}
+
+// Rebuild dedup state for a new or resumed session
+function resetDedupState(entries) {
+  seenHashes = new Set(entries.map(dedupKey));
+  nextEntryId = entries.reduce((max, entry) => Math.max(max, entry.id || 0), 0) + 1;
+  savedImageHashes = new Set(entries.map(entry => entry.contentHash).filter(Boolean));
+  screenshotHashes = entries.map(entry => entry.perceptualHash).filter(Boolean);
+  recentEntries = [];
+  for (const entry of entries.slice(-DEDUP_WINDOW)) {
+    if (entry.imageId || entry.type === 'caption' || entry.type === 'quiz') continue;
+    rememberRecent({
+      id: entry.deltaOf || entry.id,
+      text: entry.text,
+      signature: minhashSignature(entry.text),
+      url: entry.url,
+      frameId: entry.frameId
+    });
+  }
+}
+
+// Latest text from the same page and frame that this text extends at its
+// end or its start: { recent, delta }
+function findGrowthBase(entry) {
+  for (let i = recentEntries.length - 1; i >= 0; i--) {
+    const recent = recentEntries[i];
+    if (recent.url !== entry.url || recent.frameId !== entry.frameId) continue;
+    if (recent.text.length < MIN_GROWTH_BASE || recent.text.length >= entry.text.length) continue;
+    if (entry.text.startsWith(recent.text)) {
+      return { recent, delta: entry.text.slice(recent.text.length).trim() };
+    }
+    if (entry.text.endsWith(recent.text)) {
+      return { recent, delta: entry.text.slice(0, -recent.text.length).trim() };
+    }
+  }
+  return null;
+}
+
+// Returns null if the entry is a repeat. Otherwise it may reduce the entry
+// to its new text (setting `deltaOf`) and returns what rememberEntry()
+// needs once the entry is stored; nothing is remembered before then, so
+// an entry dropped later (say by the size limit) leaves no trace.
+function deduplicateEntry(entry) {
+  const hash = dedupKey(entry);
+  if (seenHashes.has(hash)) return null;
+  // A quiz's next state reads much like the last one but is worth keeping
+  if (entry.type === 'caption' || entry.type === 'quiz') return { hash };
+
+  const fullText = entry.text;
+  const signature = minhashSignature(fullText);
+
+  // Only text edited in place grows; anything else is recorded whole
+  const growth = entry.source === 'modified' ? findGrowthBase(entry) : null;
+  if (growth) {
+    if (!growth.delta) return null;
+    entry.text = growth.delta;
+    entry.deltaOf = growth.recent.id;
+    delete entry.blocks;
+    return { hash, growth, fullText, signature };
+  }
+
+  if (signature && settings.dedupThreshold < 1) {
+    for (const recent of recentEntries) {
+      if (recent.signature && estimateSimilarity(signature, recent.signature) >= settings.dedupThreshold) {
+        return null;
+      }
+    }
+  }
+
+  return { hash, signature };
+}
+
+// Make a stored entry available for later duplicate, near-duplicate and
+// growth checks, given what deduplicateEntry() returned for it
+function rememberEntry(entry, dedup) {
+  seenHashes.add(dedup.hash);
+  if (dedup.growth) {
+    // Later growth is measured against the full text seen so far
+    dedup.growth.recent.text = dedup.fullText;
+    dedup.growth.recent.signature = dedup.signature;
+    return;
+  }
+  if (entry.type === 'caption' || entry.type === 'quiz') return;
+  rememberRecent({
+    id: entry.id,
+    text: entry.text,
+    signature: dedup.signature,
+    url: entry.url,
+    frameId: entry.frameId
+  });
+}
+
+// Append an accepted entry to the session and update the tab's indicator
+function recordEntry(entry, tabId) {
+  entry.id = nextEntryId++;
+  
+  currentCaptureSize += entry.text.length * 2; // Rough UTF-16 estimate
+  capturedText.push(entry);
+  persistEntry(entry, sessionEntryCount() - 1);
+  
+  if (tabId !== undefined) {
+    browser.tabs.sendMessage(tabId, {
+      action: "updateCount",
+      count: sessionEntryCount()
+    }).catch(() => {});
+  }
+  scheduleDashboardUpdate();
+}
+
+// ============================================================
+// VIDEO PLAYBACK
+// ============================================================
+
+// The video playing in each capture tab, from the content script of
+// whichever frame holds it: { frameId, playing, mediaTime, rate, at,
+// videoTitle, videoSrc, videoPage }. Reports only come when playback
+// jumps, stops or changes speed; in between the position is projected.
+let tabPlayback = new Map();
+
+function updatePlayback(tabId, frameId, video) {
+  const current = tabPlayback.get(tabId);
+  const sameVideo = current && current.frameId === frameId && current.videoPage === video.videoPage && current.videoSrc === video.videoSrc;
+
+  // Another video pausing says nothing about the one still playing
+  if (!video.playing && current && current.playing && !sameVideo) return;
+
+  tabPlayback.set(tabId, { ...video, frameId, at: Date.now() });
+}
+
+// Tag an entry captured while a video plays with the position in it
+function attachPlayback(entry, tabId) {
+  const playback = tabPlayback.get(tabId);
+  if (!playback || !playback.playing || entry.mediaTime !== undefined) return;
+
+  const elapsed = (Date.now() - playback.at) / 1000;
+  entry.mediaTime = Math.round((playback.mediaTime + elapsed * playback.rate) * 10) / 10;
+  entry.videoTitle = playback.videoTitle;
+  entry.videoSrc = playback.videoSrc;
+  entry.videoPage = playback.videoPage;
+}
+
+// ============================================================
+// COURSE STRUCTURE
+// ============================================================
+
+// The lesson each capture tab is showing, as reported by its top frame:
+// { lesson, module }. Every entry from the tab (frames included) is tagged
+// with it, and the exports group entries into chapters by lesson. A new
+// page keeps the old lesson until its own report, which it sends before
+// any text.
+let tabLessons = new Map();
+
+function attachLesson(entry, tabId) {
+  const current = tabLessons.get(tabId);
+  if (!current) return;
+  entry.lesson = current.lesson;
+  entry.module = current.module;
+}
+
+// ============================================================
+// SESSION PERSISTENCE
+// ============================================================
+
+// Every accepted entry is written to storage.local as it arrives, under
+// its own key, alongside a small metadata record. If the browser dies
+// mid-session, the metadata is still there on the next startup.
+const SESSION_KEY = 'activeSession';
+
+function entryKey(id, index) {
+  return `entry:${id}:${index}`;
+}
+
+function imageKey(id, imageId) {
+  return `image:${id}:${imageId}`;
+}
+
+function sessionMeta() {
+  return {
+    id: sessionId,
+    startTime: captureStartTime.toISOString(),
+    tabIds: [...captureTabs.keys()],
+    isPaused: isPaused,
+    pausedIntervals: pausedIntervals,
+    entryCount: sessionEntryCount(),
+    size: currentCaptureSize,
+    partNumber: partNumber,
+    partOffset: partOffset,
+    partStartTime: partStartTime ? partStartTime.toISOString() : null,
+    updated: new Date().toISOString()
+  };
+}
+
+function persistSessionMeta() {
+  browser.storage.local.set({ [SESSION_KEY]: sessionMeta() }).catch((error) => {
+    console.error("[ACC] Could not persist session:", error);
+  });
+}
+
+function persistEntry(entry, index) {
+  browser.storage.local.set({
+    [entryKey(sessionId, index)]: entry,
+    [SESSION_KEY]: sessionMeta()
+  }).catch((error) => {
+    console.error("[ACC] Could not persist entry:", error);
+  });
+}
+
+async function loadPersistedEntries(meta) {
+  const keys = [];
+  for (let i = 0; i < meta.entryCount; i++) {
+    keys.push(entryKey(meta.id, i));
+  }
+  const stored = await browser.storage.local.get(keys);
+  return keys.map(key => stored[key]).filter(Boolean);
+}
+
+function persistImage(imageId, dataUrl) {
+  browser.storage.local.set({ [imageKey(sessionId, imageId)]: dataUrl }).catch((error) => {
+    console.error("[ACC] Could not persist image:", error);
+  });
+}
+
+async function loadPersistedImages(id, entries) {
+  const images = new Map();
+  const imageIds = entries.filter(entry => entry.imageId).map(entry => entry.imageId);
+  if (imageIds.length === 0) return images;
+
+  const stored = await browser.storage.local.get(imageIds.map(imageId => imageKey(id, imageId)));
+  for (const imageId of imageIds) {
+    const dataUrl = stored[imageKey(id, imageId)];
+    if (dataUrl) images.set(imageId, dataUrl);
+  }
+  return images;
+}
+
+// Storage keys holding a session's entries and images
+function sessionDataKeys(id, entries) {
+  const keys = [];
+  entries.forEach((entry, i) => {
+    keys.push(entryKey(id, i));
+    if (entry.imageId) {
+      keys.push(imageKey(id, entry.imageId));
+    }
+  });
+  return keys;
+}
+
+function clearPersistedSession(id, entries) {
+  const keys = [SESSION_KEY, ...sessionDataKeys(id, entries)];
+  return browser.storage.local.remove(keys).catch((error) => {
+    console.error("[ACC] Could not clear persisted session:", error);
+  });
+}
+
+function setInterruptedSession(meta) {
+  interruptedSession = meta;
+  browser.browserAction.setBadgeText({ text: meta ? "!" : "" });
+  if (meta) {
+    browser.browserAction.setBadgeBackgroundColor({ color: "#f39c12" });
+  }
+}
+
+// Rebuild in-memory state from an interrupted session and carry on recording
+async function resumeCapture(tabId) {
+  if (isCapturing || !interruptedSession) return;
+  
+  const meta = interruptedSession;
+  setInterruptedSession(null);
+  const entries = await loadPersistedEntries(meta);
+  
+  // Parts saved before the interruption are already on disk
+  const part = entries.slice(meta.partOffset || 0);
+  
+  isCapturing = true;
+  sessionId = meta.id;
+  captureStartTime = new Date(meta.startTime);
+  capturedText = part;
+  partNumber = meta.partNumber || 1;
+  partOffset = meta.partOffset || 0;
+  partStartTime = meta.partStartTime ? new Date(meta.partStartTime) : captureStartTime;
+  sessionImages = await loadPersistedImages(meta.id, part);
+  resetDedupState(entries);
+  currentCaptureSize = part.reduce((total, entry) => total + entry.text.length * 2, 0);
+  // Tab ids do not survive a restart, so carry on in the tab it was resumed from
+  captureTabs = new Map([[tabId, { title: '' }]]);
+  pausedIntervals = meta.pausedIntervals || [];
+  isPaused = Boolean(meta.isPaused);
+  
+  persistSessionMeta();
+  updateScreenshotTimer();
+  updateCheckpointTimer();
+  await activateCapture(tabId);
+  
+  console.log(`[ACC] Resumed interrupted session with ${entries.length} entries`);
+}
+
+// Save an interrupted session to file without resuming it
+async function exportInterruptedSession() {
+  if (!interruptedSession) return;
+  
+  const meta = interruptedSession;
+  setInterruptedSession(null);
+  const entries = await loadPersistedEntries(meta);
+  const startTime = new Date(meta.startTime);
+  const endTime = entries.length > 0
+    ? new Date(entries[entries.length - 1].timestamp)
+    : startTime;
+  const pausedIntervals = meta.pausedIntervals || [];
+  
+  // Parts saved before the interruption are already on disk, so only the
+  // last one is exported; the library keeps the whole session
+  const part = entries.slice(meta.partOffset || 0);
+  const partStart = meta.partStartTime ? new Date(meta.partStartTime) : startTime;
+  const images = await loadPersistedImages(meta.id, part);
+  
+  saveCapture({
+    startTime: partStart,
+    endTime,
+    entries: part,
+    images,
+    pausedIntervals: pausedIntervalsSince(pausedIntervals, partStart),
+    size: meta.size
+  }, settings.exportFormat, partLabel(meta.partNumber || 1));
+  
+  await finishPersistedSession(meta.id, {
+    startTime,
+    endTime,
+    entries,
+    images,
+    pausedIntervals,
+    size: entries.reduce((total, entry) => total + entry.text.length * 2, 0)
+  });
+}
+
+// ============================================================
+// SESSION LIBRARY
+// ============================================================
+
+// Finished sessions stay in storage.local: entries and images keep the
+// keys they were persisted under while recording, and a summary of each
+// session is added to the library index (newest first).
+const LIBRARY_KEY = 'library';
+
+async function loadLibrary() {
+  const stored = await browser.storage.local.get(LIBRARY_KEY);
+  return stored[LIBRARY_KEY] || [];
+}
+
+function saveLibrary(library) {
+  return browser.storage.local.set({ [LIBRARY_KEY]: library });
+}
+
+// Changes to the library index run one at a time, in order, so two of
+// them cannot read the same list and have the later save drop the
+// earlier one's change. `change` edits the list it is given and returns
+// whether to save it.
+let libraryQueue = Promise.resolve();
+
+function changeLibrary(change) {
+  const result = libraryQueue.then(async () => {
+    const library = await loadLibrary();
+    if (await change(library)) {
+      await saveLibrary(library);
+    }
+  });
+  libraryQueue = result.catch(() => {});
+  return result;
+}
+
+function defaultSessionName(session) {
+  const firstTitle = session.entries.map(entry => entry.tabTitle).find(Boolean);
+  const date = session.startTime.toLocaleString();
+  return firstTitle ? `${firstTitle} (${date})` : `Capture ${date}`;
+}
+
+function sessionSummary(id, session) {
+  const urls = [...new Set(session.entries.map(entry => entry.url))];
+  return {
+    id: id,
+    name: defaultSessionName(session),
+    startTime: session.startTime.toISOString(),
+    endTime: session.endTime.toISOString(),
+    durationSeconds: sessionDuration(session),
+    pausedIntervals: closedIntervals(session),
+    entryCount: session.entries.length,
+    size: session.size,
+    urls: urls,
+    tabs: sessionTabs(session.entries)
+  };
+}
+
+// A session has ended: keep it in the library, or drop it if it is empty.
+// Resolves to whether it is in the library. If it could not be added, its
+// stored copy is dropped too (the caller saves it to file instead), so it
+// does not come back as an interrupted session.
+async function finishPersistedSession(id, session) {
+  if (session.entries.length === 0) {
+    await clearPersistedSession(id, session.entries);
+    return false;
+  }
+  
+  try {
+    await changeLibrary((library) => {
+      library.unshift(sessionSummary(id, session));
+      return true;
+    });
+    updateSearchIndex(() => indexSession(id, session.entries));
+    await dropSessionMarker(id);
+    console.log("[ACC] Session added to library:", id);
+    return true;
+  } catch (error) {
+    console.error("[ACC] Could not add session to library:", error);
+    await browser.storage.local.remove(sessionDataKeys(id, session.entries))
+      .then(() => dropSessionMarker(id))
+      .catch((error) => {
+        console.error("[ACC] Could not clear persisted session:", error);
+      });
+    return false;
+  }
+}
+
+// Only drop the in-progress marker if a new session has not replaced it
+async function dropSessionMarker(id) {
+  const stored = await browser.storage.local.get(SESSION_KEY);
+  if (stored[SESSION_KEY] && stored[SESSION_KEY].id === id) {
+    await browser.storage.local.remove(SESSION_KEY);
+  }
+}
+
+// Rebuild a library session in the shape the exporters expect
+async function loadLibrarySession(id) {
+  const library = await loadLibrary();
+  const summary = library.find(item => item.id === id);
+  if (!summary) return null;
+  
+  const entries = await loadPersistedEntries({ id, entryCount: summary.entryCount });
+  const images = await loadPersistedImages(id, entries);
+  return {
+    summary,
+    session: {
+      startTime: new Date(summary.startTime),
+      endTime: new Date(summary.endTime),
+      entries,
+      images,
+      pausedIntervals: summary.pausedIntervals || [],
+      size: summary.size
+    }
+  };
+}
+
+async function exportLibrarySession(id, formatId, summary = false) {
+  const loaded = await loadLibrarySession(id);
+  if (!loaded) return;
+  if (summary) {
+    await saveCapture(summarySession(loaded.session), formatId, 'summary');
+  } else {
+    await saveCapture(loaded.session, formatId);
+  }
+}
+
+async function renameLibrarySession(id, name) {
+  await changeLibrary((library) => {
+    const summary = library.find(item => item.id === id);
+    if (!summary) return false;
+    summary.name = name;
+    return true;
+  });
+}
+
+async function deleteLibrarySession(id) {
+  const loaded = await loadLibrarySession(id);
+  if (!loaded) return;
+  
+  await browser.storage.local.remove(sessionDataKeys(id, loaded.session.entries));
+  await changeLibrary((library) => {
+    const index = library.findIndex(item => item.id === id);
+    if (index === -1) return false;
+    library.splice(index, 1);
+    return true;
+  });
+  updateSearchIndex(() => unindexSession(id));
+  console.log("[ACC] Session deleted from library:", id);
+}
+
+// Replace a library session's entries with an edited list (the review
+// page deletes, merges, reorders and edits them). Images no longer
+// referenced by any entry are dropped with their entries.
+async function updateLibrarySession(id, entries) {
+  const loaded = await loadLibrarySession(id);
+  if (!loaded) return false;
+  if (entries.length === 0) {
+    await deleteLibrarySession(id);
+    return true;
+  }
+  
+  const oldEntries = loaded.session.entries;
+  const data = {};
+  entries.forEach((entry, i) => {
+    data[entryKey(id, i)] = entry;
+  });
+  await browser.storage.local.set(data);
+  
+  const keptImages = new Set(entries.filter(entry => entry.imageId).map(entry => entry.imageId));
+  const stale = [];
+  for (let i = entries.length; i < oldEntries.length; i++) {
+    stale.push(entryKey(id, i));
+  }
+  for (const entry of oldEntries) {
+    if (entry.imageId && !keptImages.has(entry.imageId)) {
+      stale.push(imageKey(id, entry.imageId));
+    }
+  }
+  await browser.storage.local.remove(stale);
+  
+  await changeLibrary((library) => {
+    const summary = library.find(item => item.id === id);
+    if (!summary) return false;
+    summary.entryCount = entries.length;
+    summary.size = entries.reduce((size, entry) => size + entry.text.length * 2, 0);
+    summary.urls = [...new Set(entries.map(entry => entry.url))];
+    summary.tabs = sessionTabs(entries);
+    return true;
+  });
+  updateSearchIndex(() => indexSession(id, entries));
+  console.log("[ACC] Session updated from review:", id);
+  return true;
+}
+
+function openReviewPage(id) {
+  browser.tabs.create({ url: browser.runtime.getURL(`review.html?id=${encodeURIComponent(id)}`) });
+}
+
+function formatList() {
+  return Object.entries(EXPORT_FORMATS).map(([id, format]) => ({ id, label: format.label }));
+}
+
+// ============================================================
+// SEARCH INDEX
+// ============================================================
+
+// Every library session is indexed in IndexedDB for the search page:
+// `entries` holds one record per entry ({ key: "<sessionId>:<index>",
+// sessionId, url, host, timestamp, text }), `terms` is the inverted index
+// ({ term, keys }) and `sessions` lists the sessions indexed so far.
+// Sessions are indexed when they reach the library, re-indexed after a
+// review and dropped when deleted. Terms are lower-cased words with
+// accents removed; very common words are left out of the index and only
+// checked against the text of the candidates (of every entry, for a query
+// made of nothing else).
+const SEARCH_DB_NAME = 'acc-search';
+const SEARCH_DB_VERSION = 1;
+const SEARCH_RESULT_LIMIT = 100;
+const SNIPPET_CONTEXT = 80;   // Characters shown before the first match
+const SNIPPET_LENGTH = 240;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from',
+  'has', 'have', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the',
+  'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+let searchDb = null;
+
+function openSearchDb() {
+  if (!searchDb) {
+    searchDb = new Promise((resolve, reject) => {
+      const request = indexedDB.open(SEARCH_DB_NAME, SEARCH_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const entries = db.createObjectStore('entries', { keyPath: 'key' });
+        entries.createIndex('sessionId', 'sessionId');
+        db.createObjectStore('terms', { keyPath: 'term' });
+        db.createObjectStore('sessions', { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again
+    searchDb.catch(() => {
+      searchDb = null;
+    });
+  }
+  return searchDb;
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function searchTerms(text) {
+  return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function indexTerms(text) {
+  return new Set(searchTerms(text).filter(term => !STOP_WORDS.has(term)));
+}
+
+function urlHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return '';
+  }
+}
+
+// Take a session's entries out of the index, in an open transaction
+function removeFromIndex(tx, id) {
+  const terms = tx.objectStore('terms');
+  const entries = tx.objectStore('entries');
+  const prefix = `${id}:`;
+
+  entries.index('sessionId').getAll(id).onsuccess = (event) => {
+    const removed = new Set();
+    for (const record of event.target.result) {
+      entries.delete(record.key);
+      for (const term of indexTerms(record.text)) removed.add(term);
+    }
+    for (const term of removed) {
+      terms.get(term).onsuccess = (termEvent) => {
+        const posting = termEvent.target.result;
+        if (!posting) return;
+        posting.keys = posting.keys.filter(key => !key.startsWith(prefix));
+        if (posting.keys.length > 0) {
+          terms.put(posting);
+        } else {
+          terms.delete(term);
+        }
+      };
+    }
+  };
+  tx.objectStore('sessions').delete(id);
+}
+
+// (Re)index a library session. Old entries are removed in a transaction
+// of their own, since removal reads postings only once the session's
+// entries have been looked up and would take the new keys out again.
+async function indexSession(id, sessionEntries) {
+  await unindexSession(id);
+  const db = await openSearchDb();
+  const tx = db.transaction(['entries', 'terms', 'sessions'], 'readwrite');
+
+  const entries = tx.objectStore('entries');
+  const terms = tx.objectStore('terms');
+  const postings = new Map();
+  sessionEntries.forEach((entry, i) => {
+    const key = `${id}:${i}`;
+    entries.put({
+      key,
+      sessionId: id,
+      url: entry.url,
+      host: urlHost(entry.url),
+      timestamp: Date.parse(entry.timestamp),
+      text: entry.text
+    });
+    for (const term of indexTerms(entry.text)) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(key);
+    }
+  });
+
+  for (const [term, keys] of postings) {
+    terms.get(term).onsuccess = (event) => {
+      const posting = event.target.result || { term, keys: [] };
+      posting.keys.push(...keys);
+      terms.put(posting);
+    };
+  }
+  tx.objectStore('sessions').put({ id });
+
+  await transactionDone(tx);
+  console.log(`[ACC] Indexed session ${id} (${sessionEntries.length} entries, ${postings.size} terms)`);
+}
+
+async function unindexSession(id) {
+  const db = await openSearchDb();
+  const tx = db.transaction(['entries', 'terms', 'sessions'], 'readwrite');
+  removeFromIndex(tx, id);
+  await transactionDone(tx);
+}
+
+// Bring the index in line with the library: index sessions saved before
+// there was an index (or while it was unavailable), drop deleted ones
+async function syncSearchIndex() {
+  const db = await openSearchDb();
+  const indexed = new Set(await requestResult(db.transaction('sessions').objectStore('sessions').getAllKeys()));
+  const library = await loadLibrary();
+
+  for (const summary of library) {
+    if (indexed.has(summary.id)) continue;
+    const loaded = await loadLibrarySession(summary.id);
+    if (loaded) await indexSession(summary.id, loaded.session.entries);
+  }
+  const kept = new Set(library.map(summary => summary.id));
+  for (const id of indexed) {
+    if (!kept.has(id)) await unindexSession(id);
+  }
+}
+
+// Index updates run one at a time, in order, so a session being indexed
+// at startup and again when it is reviewed cannot interleave. They never
+// hold up the library.
+let searchIndexQueue = Promise.resolve();
+
+function updateSearchIndex(update) {
+  searchIndexQueue = searchIndexQueue.then(update).catch((error) => {
+    console.error("[ACC] Could not update search index:", error);
+  });
+}
+
+// "quoted phrases" and single words; every one must appear in an entry
+function parseQuery(query) {
+  const phrases = [];
+  const rest = query.replace(/"([^"]*)"?/g, (match, phrase) => {
+    const words = searchTerms(phrase);
+    if (words.length > 0) phrases.push(words);
+    return ' ';
+  });
+  return { words: searchTerms(rest), phrases };
+}
+
+function matchesQuery(text, { words, phrases }) {
+  const terms = searchTerms(text);
+  const termSet = new Set(terms);
+  if (!words.every(word => termSet.has(word))) return false;
+  const joined = ` ${terms.join(' ')} `;
+  return phrases.every(phrase => joined.includes(` ${phrase.join(' ')} `));
+}
+
+function matchesSite(host, site) {
+  return host === site || host.endsWith('.' + site);
+}
+
+// Text folded the way searchTerms() folds it (accents removed, lower
+// case), with the range of the original text each folded character came from
+function foldForSearch(text) {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let index = 0;
+  for (const char of text) {
+    const piece = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (let i = 0; i < piece.length; i++) {
+      starts.push(index);
+      ends.push(index + char.length);
+    }
+    folded += piece;
+    index += char.length;
+  }
+  return { folded, starts, ends };
+}
+
+// The text around the first match, split into plain and matching parts
+// for the search page to highlight. Matching runs on the folded text, so
+// "cafe" highlights "Café".
+function searchSnippet(text, { words, phrases }) {
+  const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const alternatives = [
+    ...phrases.map(phrase => phrase.map(escape).join('[^\\p{L}\\p{N}]+')),
+    ...words.map(escape)
+  ];
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+  const { folded, starts, ends } = foldForSearch(text);
+  const matches = [...folded.matchAll(pattern)]
+    .filter(match => match[0].length > 0)
+    .map(match => ({ start: starts[match.index], end: ends[match.index + match[0].length - 1] }));
+
+  const first = matches[0];
+  let start = first ? Math.max(0, first.start - SNIPPET_CONTEXT) : 0;
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && (!first || space < first.start)) start = space + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  const parts = [];
+  let last = start;
+  for (const match of matches) {
+    if (match.start < start || match.end > end) continue;
+    if (match.start > last) parts.push({ text: text.slice(last, match.start), match: false });
+    parts.push({ text: text.slice(match.start, match.end), match: true });
+    last = match.end;
+  }
+  if (last < end) parts.push({ text: text.slice(last, end), match: false });
+  if (start > 0) parts.unshift({ text: '…', match: false });
+  if (end < text.length) parts.push({ text: '…', match: false });
+  return parts;
+}
+
+// Entries containing every one of the (indexed) terms
+async function indexedCandidates(db, lookup) {
+  const terms = db.transaction('terms').objectStore('terms');
+  const postings = await Promise.all(lookup.map(term => requestResult(terms.get(term))));
+  if (postings.some(posting => !posting)) return [];
+
+  // Intersect the posting lists, shortest first
+  postings.sort((a, b) => a.keys.length - b.keys.length);
+  let keys = postings[0].keys;
+  for (const posting of postings.slice(1)) {
+    const other = new Set(posting.keys);
+    keys = keys.filter(key => other.has(key));
+  }
+
+  const entries = db.transaction('entries').objectStore('entries');
+  return Promise.all(keys.map(key => requestResult(entries.get(key))));
+}
+
+// Search every indexed session. `from` and `to` are times in ms, `site`
+// a host name that also matches its subdomains; all are optional.
+// Newest entries come first.
+async function searchSessions({ query, from, to, site }) {
+  const parsed = parseQuery(query || '');
+  if (parsed.words.length === 0 && parsed.phrases.length === 0) return { results: [], total: 0 };
+  const lookup = [...new Set([...parsed.words, ...parsed.phrases.flat()])].filter(term => !STOP_WORDS.has(term));
+
+  const db = await openSearchDb();
+  // Common words are not indexed, so a query of nothing else checks every entry
+  const records = lookup.length > 0
+    ? await indexedCandidates(db, lookup)
+    : await requestResult(db.transaction('entries').objectStore('entries').getAll());
+  const siteFilter = (site || '').trim().toLowerCase();
+  const matches = records.filter(record => record &&
+    (!from || record.timestamp >= from) &&
+    (!to || record.timestamp <= to) &&
+    (!siteFilter || matchesSite(record.host, siteFilter)) &&
+    matchesQuery(record.text, parsed));
+  matches.sort((a, b) => b.timestamp - a.timestamp);
+
+  const names = new Map((await loadLibrary()).map(summary => [summary.id, summary.name]));
+  const results = matches.slice(0, SEARCH_RESULT_LIMIT).map(record => ({
+    sessionId: record.sessionId,
+    sessionName: names.get(record.sessionId) || '',
+    url: record.url,
+    timestamp: new Date(record.timestamp).toISOString(),
+    snippet: searchSnippet(record.text, parsed)
+  }));
+  return { results, total: matches.length };
+}
+
+// ============================================================
+// START / STOP CAPTURE
+// ============================================================
+
+// Start capture on a tab
+async function startCapture(tabId) {
+  if (isCapturing) return;
+  
+  // Never silently overwrite an interrupted session - save it first
+  if (interruptedSession) {
+    await exportInterruptedSession();
+  }
+  
+  isCapturing = true;
+  captureStartTime = new Date();
+  sessionId = String(captureStartTime.getTime());
+  capturedText = [];
+  partNumber = 1;
+  partOffset = 0;
+  partStartTime = captureStartTime;
+  sessionImages = new Map();
+  resetDedupState([]);
+  currentCaptureSize = 0;
+  captureTabs = new Map([[tabId, { title: '' }]]);
+  isPaused = false;
+  pausedIntervals = [];
+  
+  persistSessionMeta();
+  updateScreenshotTimer();
+  updateCheckpointTimer();
+  await activateCapture(tabId);
+}
+
+// What a content script needs to show the right indicator state
+function startMessage() {
+  return {
+    action: "start",
+    startTime: captureStartTime.toISOString(),
+    entryCount: sessionEntryCount(),
+    paused: isPaused,
+    pausedMs: pausedDuration(pausedIntervals)
+  };
+}
+
+function sendToCaptureTabs(message) {
+  for (const tabId of captureTabs.keys()) {
+    browser.tabs.sendMessage(tabId, message).catch(() => {});
+  }
+}
+
+// Strip the recording marker the content script adds to page titles
+function cleanTabTitle(title) {
+  return (title || '').replace(/^🔴 /, '');
+}
+
+// Bring another tab into the running session
+function addCaptureTab(tabId, title = '') {
+  if (!isCapturing || captureTabs.has(tabId)) return;
+  
+  captureTabs.set(tabId, { title: cleanTabTitle(title) });
+  persistSessionMeta();
+  activateCapture(tabId);
+}
+
+// Let a tab leave the session; the last tab leaving stops it
+async function removeCaptureTab(tabId) {
+  if (!captureTabs.has(tabId)) return;
+  
+  if (captureTabs.size === 1) {
+    await stopCapture();
+    return;
+  }
+  
+  captureTabs.delete(tabId);
+  tabPlayback.delete(tabId);
+  tabLessons.delete(tabId);
+  persistSessionMeta();
+  notifyStateChanged();
+  browser.browserAction.setBadgeText({ text: "", tabId: tabId });
+  browser.tabs.sendMessage(tabId, { action: "stop" }).catch(() => {});
+  console.log("[ACC] Tab left the session:", tabId);
+}
+
+function setRecordingBadge(tabId) {
+  browser.browserAction.setBadgeText({ text: isPaused ? "II" : "REC", tabId: tabId });
+  browser.browserAction.setBadgeBackgroundColor({ color: isPaused ? "#7f8c8d" : "#e74c3c", tabId: tabId });
+}
+
+function notifyStateChanged() {
+  updateMenus();
+  if (isCapturing) scheduleDashboardUpdate();
+  browser.runtime.sendMessage({
+    action: "stateChanged",
+    isCapturing: isCapturing,
+    isPaused: isPaused,
+    tabIds: [...captureTabs.keys()]
+  }).catch(() => {});
+}
+
+// Stop listening without ending the session; the pause is noted in the output
+function pauseCapture() {
+  if (!isCapturing || isPaused) return;
+  
+  isPaused = true;
+  pausedIntervals.push({ start: new Date().toISOString(), end: null });
+  persistSessionMeta();
+  captureTabs.forEach((tab, tabId) => setRecordingBadge(tabId));
+  notifyStateChanged();
+  
+  sendToCaptureTabs({
+    action: "pause",
+    pausedMs: pausedDuration(pausedIntervals)
+  });
+  
+  console.log("[ACC] Capture paused");
 }
 
-// Save the capture to file
-function saveCapture() {
-  const content = formatOutput();
-  const filename = generateFilename();
+function unpauseCapture() {
+  if (!isCapturing || !isPaused) return;
   
-  if (content && capturedText.length > 0) {
-    console.log("[ACC] Preparing to save", capturedText.length, "entries...");
-    
-    try {
-      const blob = new Blob([content], { type: "text/plain;charset=utf-8" });
-      const url = URL.createObjectURL(blob);
-      
-      console.log("[ACC] Blob URL created, initiating download...");
-      
-      browser.downloads.download({
-        url: url,
-        filename: filename,
-        saveAs: true,
-        conflictAction: "uniquify"
-      }).then((downloadId) => {
-        console.log("[ACC] Download started, ID:", downloadId);
-        // Revoke after a delay to ensure download completes
-        setTimeout(() => {
-          URL.revokeObjectURL(url);
-          console.log("[ACC] Blob URL revoked");
-        }, 60000); // Keep URL valid for 60 seconds
-      }).catch((error) => {
-        console.error("[ACC] Download failed:", error);
-        URL.revokeObjectURL(url);
-      });
-    } catch (e) {
-      console.error("[ACC] Error creating download:", e);
-    }
+  isPaused = false;
+  const current = pausedIntervals[pausedIntervals.length - 1];
+  if (current && !current.end) {
+    current.end = new Date().toISOString();
+  }
+  persistSessionMeta();
+  captureTabs.forEach((tab, tabId) => setRecordingBadge(tabId));
+  notifyStateChanged();
+  
+  sendToCaptureTabs({
+    action: "unpause",
+    pausedMs: pausedDuration(pausedIntervals)
+  });
+  
+  console.log("[ACC] Capture unpaused");
+}
+
+function togglePause() {
+  if (isPaused) {
+    unpauseCapture();
   } else {
-    console.log("[ACC] No content captured, skipping save.");
+    pauseCapture();
   }
 }
 
-// Start capture on a tab
-async function startCapture(tabId) {
-  if (isCapturing) return;
-  
-  isCapturing = true;
-  captureStartTime = new Date();
-  capturedText = [];
-  seenHashes.clear();
-  currentCaptureSize = 0;
-  activeTabId = tabId;
-  
+// Show the recording state for a tab and tell its content script to begin.
+// Shared by fresh starts, resumed sessions and tabs joining a session, so
+// the session-wide timers are started by the callers that begin one.
+async function activateCapture(tabId) {
   // Update badge
-  browser.browserAction.setBadgeText({ text: "REC", tabId: tabId });
-  browser.browserAction.setBadgeBackgroundColor({ color: "#e74c3c", tabId: tabId });
+  setRecordingBadge(tabId);
 
   // Notify popup of state change
-  browser.runtime.sendMessage({ action: "stateChanged", isCapturing: true }).catch(() => {});
+  notifyStateChanged();
 
   // Notify content script to start (it will set up UI and observers)
   try {
-    await browser.tabs.sendMessage(tabId, { 
-      action: "start",
-      startTime: captureStartTime.toISOString()
-    });
+    await browser.tabs.sendMessage(tabId, startMessage());
   } catch (e) {
     // Content script might not be ready, that's okay - it will check state on load
     console.log("[ACC] Could not reach content script, will initialize on page load");
@@ -158,46 +2204,79 @@ async function stopCapture() {
   
   const wasCapturing = isCapturing;
   isCapturing = false;
+  updateScreenshotTimer();
+  updateCheckpointTimer();
+  
+  // A pause still open at stop time ends with the session
+  const current = pausedIntervals[pausedIntervals.length - 1];
+  if (current && !current.end) {
+    current.end = new Date().toISOString();
+  }
+  isPaused = false;
 
   // Notify popup of state change
-  browser.runtime.sendMessage({ action: "stateChanged", isCapturing: false }).catch(() => {});
-
-  // Update badge
-  if (activeTabId) {
-    browser.browserAction.setBadgeText({ text: "", tabId: activeTabId });
-  }
+  notifyStateChanged();
 
-  // Notify content script to clean up UI
-  if (activeTabId) {
+  // Update badges and notify content scripts to clean up UI
+  for (const tabId of captureTabs.keys()) {
+    browser.browserAction.setBadgeText({ text: "", tabId: tabId });
     try {
-      await browser.tabs.sendMessage(activeTabId, { action: "stop" });
+      await browser.tabs.sendMessage(tabId, { action: "stop" });
     } catch (e) {
       // Tab might be closed
     }
   }
   
-  // Save the captured content
+  // Keep the finished session in the library (all of it, if earlier
+  // parts have already been saved and dropped from memory)
+  const session = currentSession();
+  const finishedId = sessionId;
+  const label = partLabel();
+  const kept = finishPersistedSession(finishedId, partOffset > 0 ? await wholeSession() : session);
+  
+  // Save the captured content, or let the user tidy it up first; the
+  // review page works on the library copy, so it waits for that and
+  // saves to file after all if there is none
   if (wasCapturing && capturedText.length > 0) {
-    saveCapture();
+    if (settings.reviewBeforeSave) {
+      kept.then((inLibrary) => {
+        if (inLibrary) {
+          openReviewPage(finishedId);
+        } else {
+          saveCapture(session, settings.exportFormat, label);
+        }
+      });
+    } else {
+      saveCapture(session, settings.exportFormat, label);
+    }
   }
   
-  console.log(`[ACC] Capture stopped. ${capturedText.length} entries, ${(currentCaptureSize / 1024).toFixed(1)} KB`);
+  console.log(`[ACC] Capture stopped. ${sessionEntryCount()} entries in ${partNumber} part(s)`);
   
   // Reset state
   capturedText = [];
-  seenHashes.clear();
+  partNumber = 1;
+  partOffset = 0;
+  partStartTime = null;
+  sessionImages = new Map();
+  resetDedupState([]);
   currentCaptureSize = 0;
-  activeTabId = null;
+  captureTabs = new Map();
+  tabPlayback = new Map();
+  tabLessons = new Map();
+  sessionId = null;
+  pausedIntervals = [];
 }
 
 // Auto-stop due to size limit
 async function autoStopCapture(reason) {
   console.log(`[ACC] Auto-stopping capture: ${reason}`);
   
-  // Notify content script about auto-stop
-  if (activeTabId) {
+  // Notify the tab recording started in about auto-stop
+  const firstTabId = captureTabs.keys().next().value;
+  if (firstTabId !== undefined) {
     try {
-      await browser.tabs.sendMessage(activeTabId, { 
+      await browser.tabs.sendMessage(firstTabId, { 
         action: "autoStopped",
         reason: reason
       });
@@ -209,6 +2288,418 @@ async function autoStopCapture(reason) {
   await stopCapture();
 }
 
+// ============================================================
+// PART FILES AND CHECKPOINTS
+// ============================================================
+
+// With settings.rollOverParts, a session that reaches the size limit is
+// saved as a numbered part (..._capture_part1.txt) and carries on in a new
+// one instead of stopping. Only the running part is kept in memory;
+// earlier parts stay in storage for the library.
+let partNumber = 1;
+// Entries in earlier parts, so the running part's entries keep their
+// place in storage
+let partOffset = 0;
+// When the running part began; its chapters and duration count from here
+let partStartTime = null;
+
+function sessionEntryCount() {
+  return partOffset + capturedText.length;
+}
+
+// File label for the running part. With parts on, the first part is
+// "capture_part1" from the start, so its checkpoints carry the name it is
+// saved under even before the session splits; otherwise "capture".
+function partLabel(number = partNumber) {
+  return number > 1 || settings.rollOverParts ? `capture_part${number}` : 'capture';
+}
+
+// The running part is full. Returns true if the entry should still be
+// recorded (in a new part), false if the session was stopped.
+function handleSizeLimit() {
+  if (!settings.rollOverParts) {
+    autoStopCapture(`Size limit reached (${settings.maxCaptureSizeMB}MB)`);
+    return false;
+  }
+  // An entry too big for even an empty part goes in anyway
+  if (capturedText.length > 0) {
+    rollOverPart();
+  }
+  return true;
+}
+
+function rollOverPart() {
+  saveCapture(currentSession(), settings.exportFormat, `capture_part${partNumber}`);
+  console.log(`[ACC] Saved part ${partNumber} (${capturedText.length} entries), continuing in part ${partNumber + 1}`);
+  
+  partOffset += capturedText.length;
+  partNumber++;
+  partStartTime = new Date();
+  capturedText = [];
+  sessionImages = new Map();
+  currentCaptureSize = 0;
+  persistSessionMeta();
+  scheduleDashboardUpdate();
+}
+
+// Every part of the running session, read back from storage
+async function wholeSession() {
+  const earlier = await loadPersistedEntries({ id: sessionId, entryCount: partOffset });
+  const entries = [...earlier, ...capturedText];
+  return {
+    ...currentSession(),
+    startTime: captureStartTime,
+    pausedIntervals: pausedIntervals,
+    entries,
+    size: entries.reduce((total, entry) => total + entry.text.length * 2, 0)
+  };
+}
+
+// Timed checkpoints write the running part to disk every
+// settings.checkpointMinutes without asking where, overwriting the
+// previous checkpoint: one ..._checkpoint file per part, named after the
+// session's start. They are left in place when the session ends.
+let checkpointTimer = null;
+let checkpointedCount = 0;
+
+function writeCheckpoint() {
+  // Nothing new since the last checkpoint
+  if (sessionEntryCount() === checkpointedCount || capturedText.length === 0) return;
+  checkpointedCount = sessionEntryCount();
+  
+  saveCapture(currentSession(), settings.exportFormat, `${partLabel()}_checkpoint`, {
+    time: captureStartTime,
+    saveAs: false,
+    conflictAction: "overwrite"
+  });
+  console.log(`[ACC] Checkpoint written (${capturedText.length} entries in part ${partNumber})`);
+}
+
+// (Re)start the checkpoint timer to match the session and settings
+function updateCheckpointTimer() {
+  if (checkpointTimer) {
+    clearInterval(checkpointTimer);
+    checkpointTimer = null;
+  }
+  if (!isCapturing) {
+    checkpointedCount = 0;
+    return;
+  }
+  if (!(settings.checkpointMinutes > 0)) return;
+  
+  checkpointTimer = setInterval(writeCheckpoint, settings.checkpointMinutes * 60 * 1000);
+}
+
+// ============================================================
+// SCREENSHOTS
+// ============================================================
+
+// Screenshots of the visible part of a capture tab, for slides drawn on
+// canvas or shown as images with no text to capture. They are taken on the
+// take-screenshot command, every settings.screenshotInterval seconds (0 is
+// off) and, with settings.screenshotOnNavigation, after each page load.
+// Automatic ones are skipped when they look like one already taken: their
+// difference hashes (dHash) are within SCREENSHOT_HASH_DISTANCE bits.
+
+const SCREENSHOT_QUALITY = 90;        // JPEG quality
+const SCREENSHOT_HASH_DISTANCE = 6;   // Of 64 bits
+const SCREENSHOT_SETTLE_MS = 1500;    // Wait after a page load before taking one
+
+let screenshotTimer = null;
+
+// Shrink by halves so every pixel counts towards the small version
+function downscale(source, width, height) {
+  let canvas = source;
+  let currentWidth = source.width;
+  let currentHeight = source.height;
+
+  do {
+    currentWidth = Math.max(width, Math.floor(currentWidth / 2));
+    currentHeight = Math.max(height, Math.floor(currentHeight / 2));
+    const next = document.createElement('canvas');
+    next.width = currentWidth;
+    next.height = currentHeight;
+    next.getContext('2d').drawImage(canvas, 0, 0, currentWidth, currentHeight);
+    canvas = next;
+  } while (currentWidth > width || currentHeight > height);
+
+  return canvas;
+}
+
+// 64-bit dHash as hex: whether each of 8x8 grey cells is brighter than its
+// right-hand neighbour. Small changes (a cursor, a timer) flip few bits.
+async function perceptualHash(dataUrl) {
+  const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  const { data } = downscale(bitmap, 9, 8).getContext('2d').getImageData(0, 0, 9, 8);
+  bitmap.close();
+
+  const grey = [];
+  for (let i = 0; i < data.length; i += 4) {
+    grey.push(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+  }
+
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (grey[y * 9 + x] > grey[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+function hashDistance(a, b) {
+  let diff = BigInt('0x' + a) ^ BigInt('0x' + b);
+  let bits = 0;
+  while (diff) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+}
+
+// `trigger` is 'command', 'interval' or 'navigation'. The command works
+// while paused; automatic screenshots do not.
+async function takeScreenshot(tabId, trigger) {
+  if (!isCapturing || !captureTabs.has(tabId)) return;
+  if (trigger !== 'command' && isPaused) return;
+  
+  let tab;
+  let dataUrl;
+  let hash;
+  try {
+    // Only the tab showing in its window can be captured; it may also
+    // have been closed since the screenshot was asked for
+    tab = await browser.tabs.get(tabId);
+    if (!tab.active) return;
+    dataUrl = await browser.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: SCREENSHOT_QUALITY });
+    hash = await perceptualHash(dataUrl);
+  } catch (error) {
+    console.error("[ACC] Screenshot failed:", error);
+    return;
+  }
+  
+  if (trigger !== 'command' && screenshotHashes.some(seen => hashDistance(seen, hash) <= SCREENSHOT_HASH_DISTANCE)) {
+    console.log("[ACC] Screenshot unchanged, skipped");
+    return;
+  }
+  // The session may have ended while the screenshot was taken
+  if (!isCapturing || !captureTabs.has(tabId)) return;
+  
+  const filename = `screenshot-${new Date().toTimeString().split(' ')[0].replace(/:/g, '-')}.jpg`;
+  const text = cleanTabTitle(tab.title) || filename;
+  if (currentCaptureSize + text.length * 2 > maxCaptureSize() && !handleSizeLimit()) {
+    return;
+  }
+  
+  const imageId = String(sessionEntryCount() + 1);
+  const entry = {
+    timestamp: new Date().toISOString(),
+    type: 'screenshot',
+    source: trigger,
+    frameId: 'main',
+    url: tab.url,
+    tabId: tabId,
+    tabTitle: cleanTabTitle(tab.title),
+    text: text,
+    imageId: imageId,
+    filename: filename,
+    perceptualHash: hash
+  };
+  attachPlayback(entry, tabId);
+  attachLesson(entry, tabId);
+  
+  recordEntry(entry, tabId);
+  sessionImages.set(imageId, dataUrl);
+  persistImage(imageId, dataUrl);
+  // Only a recorded screenshot makes later ones of the same view repeats
+  screenshotHashes.push(hash);
+  
+  if (!settings.bundleZip) {
+    downloadImageFile(new Blob([await dataUrlToBytes(dataUrl)], { type: 'image/jpeg' }), filename);
+  }
+}
+
+// Capture tabs currently showing in their windows
+async function visibleCaptureTabs() {
+  const tabs = await browser.tabs.query({ active: true });
+  return tabs.filter(tab => captureTabs.has(tab.id)).map(tab => tab.id);
+}
+
+// (Re)start the interval screenshots to match the session and settings
+function updateScreenshotTimer() {
+  if (screenshotTimer) {
+    clearInterval(screenshotTimer);
+    screenshotTimer = null;
+  }
+  if (!isCapturing || !(settings.screenshotInterval > 0)) return;
+  
+  screenshotTimer = setInterval(async () => {
+    for (const tabId of await visibleCaptureTabs()) {
+      takeScreenshot(tabId, 'interval');
+    }
+  }, settings.screenshotInterval * 1000);
+}
+
+// ============================================================
+// HIGHLIGHTS AND NOTES
+// ============================================================
+
+// Entries the user adds on purpose: `highlight` (text selected on the page)
+// and `note` (typed into the indicator's note box). They skip deduplication
+// and are accepted while paused, since they never come from watching the page.
+const MANUAL_ENTRY_TYPES = new Set(['highlight', 'note']);
+
+function addManualEntry(entry, tabId) {
+  if (!isCapturing || !captureTabs.has(tabId)) return;
+  
+  entry.timestamp = new Date().toISOString();
+  entry.tabId = tabId;
+  entry.tabTitle = captureTabs.get(tabId).title;
+  attachPlayback(entry, tabId);
+  attachLesson(entry, tabId);
+  
+  if (currentCaptureSize + entry.text.length * 2 > maxCaptureSize() && !handleSizeLimit()) {
+    return;
+  }
+  
+  recordEntry(entry, tabId);
+  console.log(`[ACC] Added ${entry.type}`);
+}
+
+// Highlight whatever is selected in the tab (or in one frame of it); with
+// nothing selected, open the note box instead
+async function highlightSelection(tabId, frameId, fallbackText = '') {
+  if (!isCapturing || !captureTabs.has(tabId)) return;
+  
+  const options = frameId === undefined ? {} : { frameId: frameId };
+  const selection = await browser.tabs.sendMessage(tabId, { action: "getSelection" }, options).catch(() => null);
+  
+  if (selection && selection.text) {
+    addManualEntry({ type: 'highlight', source: 'highlight', frameId: selection.frameId, url: selection.url, text: selection.text }, tabId);
+  } else if (fallbackText) {
+    let tab;
+    try {
+      tab = await browser.tabs.get(tabId);
+    } catch (error) {
+      // The tab was closed in the meantime
+      return;
+    }
+    addManualEntry({ type: 'highlight', source: 'highlight', frameId: 'main', url: tab.url, text: fallbackText.trim() }, tabId);
+  } else {
+    openNoteBox(tabId);
+  }
+}
+
+function openNoteBox(tabId) {
+  if (!isCapturing || !captureTabs.has(tabId)) return;
+  browser.tabs.sendMessage(tabId, { action: "openNote" }, { frameId: 0 }).catch(() => {});
+}
+
+// Just the highlights and notes of a session, as a condensed summary
+function summarySession(session) {
+  const entries = session.entries.filter(entry => MANUAL_ENTRY_TYPES.has(entry.type));
+  const size = entries.reduce((total, entry) => total + entry.text.length * 2, 0);
+  return { ...session, entries, size };
+}
+
+browser.menus.create({
+  id: "acc-highlight",
+  title: "Highlight in capture",
+  contexts: ["selection"],
+  enabled: false
+});
+
+browser.menus.create({
+  id: "acc-note",
+  title: "Add note to capture…",
+  contexts: ["page", "frame", "link", "image", "video"],
+  enabled: false
+});
+
+// Menu items only work while recording
+function updateMenus() {
+  browser.menus.update("acc-highlight", { enabled: isCapturing });
+  browser.menus.update("acc-note", { enabled: isCapturing });
+}
+
+browser.menus.onClicked.addListener((info, tab) => {
+  if (!tab) return;
+  if (info.menuItemId === "acc-highlight") {
+    highlightSelection(tab.id, info.frameId, info.selectionText);
+  } else if (info.menuItemId === "acc-note") {
+    openNoteBox(tab.id);
+  }
+});
+
+// ============================================================
+// POPUP DASHBOARD
+// ============================================================
+
+// Live stats for the popup while recording. A fresh snapshot is pushed at
+// most every DASHBOARD_THROTTLE_MS as entries arrive; it is fine if no
+// popup is open to receive it.
+const DASHBOARD_RECENT = 20;            // Latest entries previewed
+const DASHBOARD_PREVIEW_LENGTH = 160;   // Characters of each preview
+const DASHBOARD_THROTTLE_MS = 500;
+
+let dashboardScheduled = false;
+
+function entryPreview(entry) {
+  const text = entry.text.length > DASHBOARD_PREVIEW_LENGTH
+    ? entry.text.slice(0, DASHBOARD_PREVIEW_LENGTH) + '…'
+    : entry.text;
+  return {
+    id: entry.id,
+    timestamp: entry.timestamp,
+    type: entry.type || 'text',
+    url: entry.url,
+    frameId: entry.frameId,
+    text: text
+  };
+}
+
+// Entry counts per page and frame, busiest first
+function sessionBreakdown(entries) {
+  const counts = new Map();
+  for (const entry of entries) {
+    const key = `${entry.url}\n${entry.frameId}`;
+    if (!counts.has(key)) {
+      counts.set(key, { url: entry.url, frameId: entry.frameId, count: 0 });
+    }
+    counts.get(key).count++;
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count);
+}
+
+function dashboardState() {
+  return {
+    startTime: captureStartTime.toISOString(),
+    isPaused: isPaused,
+    pausedMs: pausedDuration(pausedIntervals),
+    entryCount: sessionEntryCount(),
+    size: currentCaptureSize,
+    maxSize: maxCaptureSize(),
+    part: partNumber,
+    breakdown: sessionBreakdown(capturedText),
+    recent: capturedText.slice(-DASHBOARD_RECENT).reverse().map(entryPreview)
+  };
+}
+
+function scheduleDashboardUpdate() {
+  if (dashboardScheduled) return;
+  dashboardScheduled = true;
+  
+  setTimeout(() => {
+    dashboardScheduled = false;
+    if (!isCapturing) return;
+    browser.runtime.sendMessage({ action: "dashboard", ...dashboardState() }).catch(() => {});
+  }, DASHBOARD_THROTTLE_MS);
+}
+
+// ============================================================
+// MESSAGE HANDLING
+// ============================================================
+
 // Listen for keyboard shortcut
 browser.commands.onCommand.addListener((command) => {
   if (command === "toggle-capture") {
@@ -221,6 +2712,16 @@ browser.commands.onCommand.addListener((command) => {
         }
       }
     });
+  } else if (command === "toggle-pause") {
+    togglePause();
+  } else if (command === "take-screenshot") {
+    browser.tabs.query({ active: true, currentWindow: true }).then((tabs) => {
+      if (tabs[0]) takeScreenshot(tabs[0].id, 'command');
+    });
+  } else if (command === "add-highlight") {
+    browser.tabs.query({ active: true, currentWindow: true }).then((tabs) => {
+      if (tabs[0]) highlightSelection(tabs[0].id);
+    });
   }
 });
 
@@ -233,15 +2734,30 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (!sender.tab) {
       sendResponse({
         isCapturing: isCapturing,
+        isPaused: isPaused,
         startTime: captureStartTime ? captureStartTime.toISOString() : null,
-        entryCount: capturedText.length
+        entryCount: sessionEntryCount(),
+        tabIds: [...captureTabs.keys()],
+        exportFormat: settings.exportFormat,
+        bundleZip: settings.bundleZip,
+        followOpenedTabs: settings.followOpenedTabs,
+        groupByTab: settings.groupByTab,
+        reviewBeforeSave: settings.reviewBeforeSave,
+        formats: formatList(),
+        dashboard: isCapturing ? dashboardState() : null,
+        interruptedSession: interruptedSession ? {
+          startTime: interruptedSession.startTime,
+          entryCount: interruptedSession.entryCount
+        } : null
       });
     } else {
-      // From content script - check if this tab is the active one
+      // From content script - check if this tab is part of the session
       sendResponse({
-        isCapturing: isCapturing && sender.tab.id === activeTabId,
+        isCapturing: isCapturing && captureTabs.has(sender.tab.id),
         startTime: captureStartTime ? captureStartTime.toISOString() : null,
-        entryCount: capturedText.length
+        entryCount: sessionEntryCount(),
+        paused: isPaused,
+        pausedMs: pausedDuration(pausedIntervals)
       });
     }
     return true; // Keep channel open for async response
@@ -257,82 +2773,345 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
     return true;
   }
+
+  // Popup adding or removing the current tab
+  if (message.action === "addTab") {
+    addCaptureTab(message.tabId, message.title);
+    return;
+  }
+
+  if (message.action === "removeTab") {
+    removeCaptureTab(message.tabId);
+    return;
+  }
+
+  // Popup or on-page indicator pausing/unpausing
+  if (message.action === "togglePause") {
+    togglePause();
+    return;
+  }
+
+  // Library page browsing past sessions
+  if (message.action === "listSessions") {
+    loadLibrary().then((sessions) => {
+      sendResponse({ sessions: sessions, formats: formatList() });
+    }).catch((error) => {
+      console.error("[ACC] Could not load library:", error);
+      sendResponse({ error: String(error), sessions: [], formats: formatList() });
+    });
+    return true;
+  }
+
+  if (message.action === "getSession") {
+    loadLibrarySession(message.id).then((loaded) => {
+      sendResponse(loaded ? { summary: loaded.summary, entries: loaded.session.entries } : null);
+    }).catch((error) => {
+      console.error("[ACC] Could not load session:", error);
+      sendResponse({ error: String(error) });
+    });
+    return true;
+  }
+
+  // Search page
+  if (message.action === "search") {
+    searchSessions(message).then(sendResponse).catch((error) => {
+      console.error("[ACC] Search failed:", error);
+      sendResponse({ error: String(error) });
+    });
+    return true;
+  }
+
+  if (message.action === "exportSession") {
+    exportLibrarySession(message.id, message.format, message.summary);
+    return;
+  }
+
+  // Highlights and notes of the running session
+  if (message.action === "exportSummary") {
+    if (isCapturing) {
+      saveCapture(summarySession(currentSession()), message.format, 'summary');
+    }
+    return;
+  }
+
+  // Note typed into the indicator's note box
+  if (message.action === "addNote") {
+    if (sender.tab && message.text) {
+      addManualEntry({ type: 'note', source: 'note', frameId: 'main', url: sender.tab.url, text: message.text }, sender.tab.id);
+    }
+    return;
+  }
+
+  // Review page saving its edits
+  if (message.action === "updateSession") {
+    updateLibrarySession(message.id, message.entries).then((ok) => sendResponse({ ok })).catch((error) => {
+      console.error("[ACC] Could not update session:", error);
+      sendResponse({ ok: false, error: String(error) });
+    });
+    return true;
+  }
+
+  if (message.action === "renameSession") {
+    renameLibrarySession(message.id, message.name).then(() => sendResponse({ ok: true })).catch((error) => {
+      console.error("[ACC] Could not rename session:", error);
+      sendResponse({ ok: false, error: String(error) });
+    });
+    return true;
+  }
+
+  if (message.action === "deleteSession") {
+    deleteLibrarySession(message.id).then(() => sendResponse({ ok: true })).catch((error) => {
+      console.error("[ACC] Could not delete session:", error);
+      sendResponse({ ok: false, error: String(error) });
+    });
+    return true;
+  }
+
+  // Popup choosing what to do with an interrupted session
+  if (message.action === "resumeSession") {
+    resumeCapture(message.tabId);
+    return;
+  }
+
+  if (message.action === "exportInterrupted") {
+    exportInterruptedSession();
+    return;
+  }
+  
+  // A video started, stopped or jumped in one of the tab's frames
+  if (message.action === "videoState") {
+    if (isCapturing && sender.tab && captureTabs.has(sender.tab.id)) {
+      updatePlayback(sender.tab.id, message.frameId, message.video);
+    }
+    return;
+  }
+  
+  // Top frame reporting the lesson it shows
+  if (message.action === "lessonState") {
+    if (isCapturing && sender.tab && captureTabs.has(sender.tab.id) && message.lesson) {
+      tabLessons.set(sender.tab.id, { lesson: message.lesson, module: message.module || null });
+    }
+    return;
+  }
   
   // Content script sending captured text
   if (message.action === "captureText") {
-    if (!isCapturing) return;
-    if (!sender.tab || sender.tab.id !== activeTabId) return;
+    if (!isCapturing || isPaused) return;
+    if (!sender.tab || !captureTabs.has(sender.tab.id)) return;
     
     const entry = message.entry;
+    entry.tabId = sender.tab.id;
+    entry.tabTitle = cleanTabTitle(sender.tab.title);
+    captureTabs.set(sender.tab.id, { title: entry.tabTitle });
+    attachPlayback(entry, sender.tab.id);
+    attachLesson(entry, sender.tab.id);
     
-    // Deduplicate
-    const hash = entry.text.substring(0, 100) + entry.text.length;
-    if (seenHashes.has(hash)) return;
-    seenHashes.add(hash);
+    // Deduplicate (may reduce a grown block to its new text)
+    const dedup = deduplicateEntry(entry);
+    if (!dedup) return;
     
     // Check size limit
     const entrySize = entry.text.length * 2; // Rough UTF-16 estimate
-    if (currentCaptureSize + entrySize > MAX_CAPTURE_SIZE) {
-      autoStopCapture(`Size limit reached (${(MAX_CAPTURE_SIZE / 1024 / 1024).toFixed(0)}MB)`);
+    if (currentCaptureSize + entrySize > maxCaptureSize() && !handleSizeLimit()) {
       return;
     }
     
-    currentCaptureSize += entrySize;
-    capturedText.push(entry);
-    
-    // Send updated count back to content script for display
-    if (sender.tab) {
-      browser.tabs.sendMessage(sender.tab.id, {
-        action: "updateCount",
-        count: capturedText.length
-      }).catch(() => {});
-    }
+    // Store it and send the updated count back to the content script
+    recordEntry(entry, sender.tab.id);
+    rememberEntry(entry, dedup);
   }
   
-  // Save image request
+  // Save image request (a click on a save dot, or auto-save)
   if (message.action === "saveImage") {
-    const imageUrl = message.url;
-    const filename = generateImageFilename(message.filename);
-    
-    browser.downloads.download({
-      url: imageUrl,
-      filename: filename,
-      saveAs: false,
-      conflictAction: "uniquify"
-    }).then((downloadId) => {
-      console.log("[ACC] Saved image:", filename);
-    }).catch((error) => {
-      console.error("[ACC] Image download failed:", error);
-    });
+    saveImage(message, sender);
   }
 });
 
+// File extensions for the image types pages can show
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg',
+  'image/bmp': 'bmp',
+  'image/x-icon': 'ico'
+};
+
+// Content type from the file's first bytes; CDNs often send images without
+// an extension and as application/octet-stream
+function sniffImageType(bytes) {
+  const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+  if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'image/jpeg';
+  if (ascii(0, 4) === 'GIF8') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(4, 8) === 'ftyp' && /^avi[fs]$/.test(ascii(8, 12))) return 'image/avif';
+  if (ascii(0, 2) === 'BM') return 'image/bmp';
+  if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg/i.test(ascii(0, 512))) return 'image/svg+xml';
+  return null;
+}
+
+// Extension guessed from the address, for images that could not be read
+function urlImageExtension(url) {
+  const match = url.match(/\.(png|jpe?g|gif|webp|avif|svg|bmp)(?:[?#]|$)/i);
+  if (!match) return 'png';
+  const extension = match[1].toLowerCase();
+  return extension === 'jpeg' ? 'jpg' : extension;
+}
+
+// Fetch an image and work out what it really is. Rejects anything that
+// is not a known image type.
+async function fetchImage(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  const declared = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+  const type = sniffImageType(bytes) || (IMAGE_EXTENSIONS[declared] ? declared : null);
+  if (!type) throw new Error(`Not an image (${declared || 'unknown type'})`);
+  return { blob: new Blob([bytes], { type }), bytes, type };
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+async function contentHash(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Whether the image can still go into the session it was saved in
+function imageSessionActive(sender, id) {
+  return isCapturing && !isPaused && sessionId === id && Boolean(sender.tab) && captureTabs.has(sender.tab.id);
+}
+
+// Save an image to disk and, when it comes from a capture tab, into the
+// session timeline. Auto-saved images are skipped if the same content was
+// saved before; when bundling, images that could be read only go into the ZIP.
+async function saveImage(message, sender) {
+  // Reading the image takes a while; the session may end or pause meanwhile
+  const savedIn = sessionId;
+  const inSession = isCapturing && sender.tab && captureTabs.has(sender.tab.id);
+  if (message.auto && (!inSession || isPaused)) return;
+  
+  let image = null;
+  try {
+    image = await fetchImage(message.url);
+  } catch (error) {
+    console.error("[ACC] Could not read image:", error);
+    if (message.auto) return;
+  }
+  
+  let hash = null;
+  if (image) {
+    hash = await contentHash(image.bytes);
+    if (message.auto && savedImageHashes.has(hash)) return;
+    savedImageHashes.add(hash);
+  }
+  
+  const extension = image ? IMAGE_EXTENSIONS[image.type] : urlImageExtension(message.url);
+  const name = `${message.filename}.${extension}`;
+  
+  let embedded = false;
+  if (inSession && imageSessionActive(sender, savedIn)) {
+    embedded = await recordImage(message, sender, name, image, hash);
+  }
+  if (settings.bundleZip && embedded) return;
+  
+  downloadImageFile(image ? image.blob : message.url, name);
+}
+
+// Save an image (a Blob, or the address to fetch it from) into today's
+// folder without asking where
+function downloadImageFile(source, name) {
+  const blobUrl = source instanceof Blob ? URL.createObjectURL(source) : null;
+  browser.downloads.download({
+    url: blobUrl || source,
+    filename: generateImageFilename(name),
+    saveAs: false,
+    conflictAction: "uniquify"
+  }).then(() => {
+    console.log("[ACC] Saved image:", name);
+  }).catch((error) => {
+    console.error("[ACC] Image download failed:", error);
+  }).finally(() => {
+    if (blobUrl) setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+  });
+}
+
+// Add a saved image to the timeline at the moment it was saved. Returns
+// whether exports can embed it.
+async function recordImage(message, sender, filename, image, hash) {
+  const imageId = String(sessionEntryCount() + 1);
+  const entry = {
+    timestamp: new Date().toISOString(),
+    type: 'image',
+    source: message.auto ? 'auto-image' : 'image',
+    frameId: message.frameId || 'main',
+    url: sender.url || sender.tab.url,
+    tabId: sender.tab.id,
+    tabTitle: cleanTabTitle(sender.tab.title),
+    text: message.alt || filename,
+    imageUrl: message.url,
+    imageId: imageId,
+    filename: filename,
+    contentHash: hash
+  };
+  attachPlayback(entry, sender.tab.id);
+  attachLesson(entry, sender.tab.id);
+  
+  recordEntry(entry, sender.tab.id);
+  
+  // The report falls back to linking the original URL
+  if (!image) return false;
+  
+  try {
+    const recordedIn = sessionId;
+    const dataUrl = await blobToDataUrl(image.blob);
+    // A session that ended meanwhile was saved without it; download it instead
+    if (sessionId !== recordedIn) return false;
+    sessionImages.set(imageId, dataUrl);
+    persistImage(imageId, dataUrl);
+    return true;
+  } catch (error) {
+    console.error("[ACC] Could not embed image:", error);
+    return false;
+  }
+}
+
 // Handle tab updates (page navigation within the same tab)
 browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (!isCapturing || tabId !== activeTabId) return;
+  if (!isCapturing || !captureTabs.has(tabId)) return;
   
-  // Log URL changes
+  // Log URL changes; a video on the old page no longer says where we are
   if (changeInfo.url) {
     console.log("[ACC] Tab navigating to:", changeInfo.url);
+    tabPlayback.delete(tabId);
   }
   
   // When page finishes loading, re-initialize content script
   if (changeInfo.status === 'complete') {
     console.log("[ACC] Page loaded in active capture tab:", tab.url);
+    
+    if (settings.screenshotOnNavigation) {
+      setTimeout(() => takeScreenshot(tabId, 'navigation'), SCREENSHOT_SETTLE_MS);
+    }
     console.log("[ACC] Re-initializing content script...");
     
     // Update badge immediately (gets cleared on navigation)
-    browser.browserAction.setBadgeText({ text: "REC", tabId: tabId });
-    browser.browserAction.setBadgeBackgroundColor({ color: "#e74c3c", tabId: tabId });
+    setRecordingBadge(tabId);
     
     // Try to reach content script with retries
     // Cross-domain navigations need more time for content script to initialize
     const sendStartMessage = (attempt = 1) => {
-      browser.tabs.sendMessage(tabId, {
-        action: "start",
-        startTime: captureStartTime.toISOString(),
-        entryCount: capturedText.length
-      }).then(() => {
+      browser.tabs.sendMessage(tabId, startMessage()).then(() => {
         console.log(`[ACC] Content script initialized on ${tab.url} (attempt ${attempt})`);
       }).catch((e) => {
         console.log(`[ACC] Attempt ${attempt} failed:`, e.message || e);
@@ -353,22 +3132,73 @@ browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 
+// Follow tabs opened from a tab that is already being captured
+browser.tabs.onCreated.addListener((tab) => {
+  if (!isCapturing || !settings.followOpenedTabs) return;
+  if (tab.openerTabId === undefined || !captureTabs.has(tab.openerTabId)) return;
+  
+  console.log("[ACC] Following tab opened from capture tab:", tab.id);
+  // The page is still loading; onUpdated sends "start" once it completes
+  captureTabs.set(tab.id, { title: cleanTabTitle(tab.title) });
+  persistSessionMeta();
+  setRecordingBadge(tab.id);
+  notifyStateChanged();
+});
+
 // Handle tab close
 browser.tabs.onRemoved.addListener((tabId) => {
-  if (isCapturing && tabId === activeTabId) {
-    console.log("[ACC] Active capture tab closed, stopping capture");
-    stopCapture();
+  if (isCapturing && captureTabs.has(tabId)) {
+    if (captureTabs.size === 1) {
+      console.log("[ACC] Last capture tab closed, stopping capture");
+      stopCapture();
+    } else {
+      console.log("[ACC] Capture tab closed:", tabId);
+      captureTabs.delete(tabId);
+      tabPlayback.delete(tabId);
+      tabLessons.delete(tabId);
+      persistSessionMeta();
+    }
   }
 });
 
 // Update badge when switching tabs (just visual indicator)
 browser.tabs.onActivated.addListener((activeInfo) => {
-  if (isCapturing && activeInfo.tabId === activeTabId) {
-    browser.browserAction.setBadgeText({ text: "REC", tabId: activeInfo.tabId });
-    browser.browserAction.setBadgeBackgroundColor({ color: "#e74c3c", tabId: activeInfo.tabId });
+  if (isCapturing && captureTabs.has(activeInfo.tabId)) {
+    setRecordingBadge(activeInfo.tabId);
   } else {
     browser.browserAction.setBadgeText({ text: "", tabId: activeInfo.tabId });
   }
 });
 
+// Load settings and keep them in sync with the popup and options page
+browser.storage.local.get('settings').then((stored) => {
+  settings = { ...DEFAULT_SETTINGS, ...stored.settings };
+}).catch((error) => {
+  console.error("[ACC] Could not load settings:", error);
+});
+
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.settings) {
+    const previous = settings;
+    settings = { ...DEFAULT_SETTINGS, ...changes.settings.newValue };
+    if (settings.screenshotInterval !== previous.screenshotInterval) updateScreenshotTimer();
+    if (settings.checkpointMinutes !== previous.checkpointMinutes) updateCheckpointTimer();
+    if (settings.maxCaptureSizeMB !== previous.maxCaptureSizeMB) scheduleDashboardUpdate();
+  }
+});
+
+// Look for a session that was still recording when the browser went away
+browser.storage.local.get(SESSION_KEY).then((stored) => {
+  const meta = stored[SESSION_KEY];
+  if (meta && !isCapturing) {
+    console.log(`[ACC] Found interrupted session from ${meta.startTime} (${meta.entryCount} entries)`);
+    setInterruptedSession(meta);
+  }
+}).catch((error) => {
+  console.error("[ACC] Could not check for interrupted session:", error);
+});
+
+// Index library sessions the search index does not know about yet
+updateSearchIndex(syncSearchIndex);
+
 console.log("[ACC] Background script loaded.");
@@ -30,11 +30,19 @@
   
   let isCapturing = false;
   let observer = null;
+  // Waits for <body> when capture starts before the page has one
+  let bodyWaiter = null;
   let startTime = null;
   let statusIndicator = null;
   let originalTitle = null;
   let entryCount = 0;
 
+  // Pause state - observer is disconnected and the timer frozen while paused
+  let isPaused = false;
+  let pausedMs = 0;
+  // When this frame learned of the pause; the timer shows the time up to it
+  let pausedAt = 0;
+
   // Elements to ignore when extracting text
   const IGNORED_TAGS = new Set([
     'SCRIPT', 'STYLE', 'NOSCRIPT', 'SVG', 'PATH', 
@@ -44,17 +52,17 @@
   // Our own indicator ID to exclude
   const INDICATOR_ID = 'acc-capture-indicator';
 
-  // Text limits
-  const MIN_TEXT_LENGTH = 10;
-  const MAX_TEXT_LENGTH = 100000;
+  // Text length limits, the save dot's minimum image size and the
+  // mutation throttle are settings (see SETTINGS AND SITE RULES)
 
   // Image save dot settings
   const IMG_DOT_SIZE = 20;
-  const IMG_MIN_SIZE = 50;
-  const IMG_EXTENSIONS = /\.(png|jpe?g)(\?.*)?$/i;
+  const AUTO_SAVE_MIN_SIZE = 150;
   let imageDotsAdded = new WeakSet();
+  let autoSavedUrls = new Set();
 
-  // Patterns that indicate code/CSS/technical noise
+  // Built-in patterns that indicate code/CSS/technical noise; they can be
+  // turned off and added to from the options page
   const NOISE_PATTERNS = [
     /^#[\w-]+\s*\{/,
     /^\.[\w-]+\s*\{/,
@@ -82,7 +90,6 @@
   // Throttle control
   let pendingMutations = [];
   let processingScheduled = false;
-  const THROTTLE_MS = 250;
 
   // Timer interval reference
   let timerInterval = null;
@@ -127,6 +134,7 @@
         if (isCapturing && !document.title.startsWith(RECORDING_EMOJI)) {
           document.title = RECORDING_EMOJI + document.title;
         }
+        if (isCapturing && !isPaused) reportLesson();
       });
       titleObserver.observe(titleEl, { childList: true, characterData: true, subtree: true });
     }
@@ -152,8 +160,29 @@
   function updateTimer() {
     const timerEl = document.getElementById('acc-timer');
     if (timerEl && startTime) {
-      const elapsed = Math.floor((Date.now() - startTime.getTime()) / 1000);
-      timerEl.textContent = formatTime(elapsed);
+      const now = isPaused ? pausedAt : Date.now();
+      const elapsed = Math.floor((now - startTime.getTime() - pausedMs) / 1000);
+      timerEl.textContent = formatTime(Math.max(0, elapsed));
+    }
+  }
+
+  const INDICATOR_RECORDING_BACKGROUND = 'linear-gradient(135deg, #e74c3c, #c0392b)';
+  const INDICATOR_PAUSED_BACKGROUND = 'linear-gradient(135deg, #7f8c8d, #636e72)';
+
+  function updatePausedIndicator() {
+    if (!statusIndicator) return;
+    statusIndicator.style.background = isPaused ? INDICATOR_PAUSED_BACKGROUND : INDICATOR_RECORDING_BACKGROUND;
+
+    const dot = document.getElementById('acc-pulse-dot');
+    if (dot) dot.style.animation = isPaused ? 'none' : 'accPulse 1s infinite';
+
+    const label = document.getElementById('acc-paused-label');
+    if (label) label.style.display = isPaused ? 'inline' : 'none';
+
+    const button = document.getElementById('acc-pause-btn');
+    if (button) {
+      button.textContent = isPaused ? '▶' : '❚❚';
+      button.title = isPaused ? 'Resume recording' : 'Pause recording';
     }
   }
 
@@ -166,7 +195,7 @@
       position: fixed;
       top: 10px;
       right: 10px;
-      background: linear-gradient(135deg, #e74c3c, #c0392b);
+      background: ${INDICATOR_RECORDING_BACKGROUND};
       color: white;
       padding: 10px 16px;
       border-radius: 6px;
@@ -182,11 +211,14 @@
       cursor: grab;
     `;
     statusIndicator.innerHTML = `
-      <span style="width: 10px; height: 10px; background: white; border-radius: 50%; animation: accPulse 1s infinite;"></span>
+      <span id="acc-pulse-dot" style="width: 10px; height: 10px; background: white; border-radius: 50%; animation: accPulse 1s infinite;"></span>
       <span style="font-weight: 700;">ACC</span>
+      <span id="acc-paused-label" style="display: none; letter-spacing: 1px;">PAUSED</span>
       <span id="acc-capture-count" style="opacity: 0.9; min-width: 24px;">${entryCount}</span>
       <span style="opacity: 0.7;">|</span>
       <span id="acc-timer" style="opacity: 0.9; font-variant-numeric: tabular-nums;">00:00</span>
+      <span id="acc-pause-btn" style="cursor: pointer; opacity: 0.9; font-size: 11px; padding: 0 2px;">❚❚</span>
+      <span id="acc-note-btn" title="Add a note" style="cursor: pointer; opacity: 0.9; padding: 0 2px;">✎</span>
     `;
     
     const style = document.createElement('style');
@@ -200,13 +232,32 @@
     document.head.appendChild(style);
     document.body.appendChild(statusIndicator);
 
+    updateTimer();
+    updatePausedIndicator();
     timerInterval = setInterval(updateTimer, 1000);
 
+    // Pause button asks the background script, which tells every frame
+    const pauseButton = document.getElementById('acc-pause-btn');
+    pauseButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      browser.runtime.sendMessage({ action: 'togglePause' }).catch(() => {});
+    });
+
+    const noteButton = document.getElementById('acc-note-btn');
+    noteButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      openNoteBox();
+    });
+
     // Make draggable
     let isDragging = false;
     let offsetX, offsetY;
 
     statusIndicator.addEventListener('mousedown', (e) => {
+      if (e.target === pauseButton || e.target === noteButton) return;
+      if (e.target.closest('#' + NOTE_BOX_ID)) return;
       isDragging = true;
       statusIndicator.style.cursor = 'grabbing';
       offsetX = e.clientX - statusIndicator.getBoundingClientRect().left;
@@ -254,6 +305,79 @@
     }
   }
 
+  // ============================================================
+  // HIGHLIGHTS AND NOTES
+  // ============================================================
+
+  const NOTE_BOX_ID = 'acc-note-box';
+
+  function selectedText() {
+    const selection = window.getSelection();
+    return selection ? cleanText(selection.toString()) : '';
+  }
+
+  // A small box under the indicator; Enter saves, Shift+Enter starts a new
+  // line, Escape cancels
+  function openNoteBox() {
+    if (!statusIndicator) return;
+
+    const existing = document.getElementById(NOTE_BOX_ID);
+    if (existing) {
+      existing.querySelector('textarea').focus();
+      return;
+    }
+
+    const box = document.createElement('div');
+    box.id = NOTE_BOX_ID;
+    box.style.cssText = `
+      position: absolute;
+      top: calc(100% + 6px);
+      right: 0;
+      width: 280px;
+      background: #1a1a2e;
+      border-radius: 6px;
+      padding: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      cursor: default;
+    `;
+
+    const textarea = document.createElement('textarea');
+    textarea.placeholder = 'Note - Enter to save, Esc to cancel';
+    textarea.rows = 3;
+    textarea.style.cssText = `
+      width: 100%;
+      box-sizing: border-box;
+      resize: vertical;
+      background: #2a2a4a;
+      color: #eee;
+      border: 1px solid #e74c3c;
+      border-radius: 4px;
+      padding: 6px;
+      font: 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+    `;
+
+    // Keep typing away from page shortcuts (video players use space, k, j...)
+    for (const type of ['keydown', 'keyup', 'keypress']) {
+      textarea.addEventListener(type, (e) => e.stopPropagation());
+    }
+    textarea.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        const text = textarea.value.trim();
+        if (text) {
+          browser.runtime.sendMessage({ action: 'addNote', text: text }).catch(() => {});
+        }
+        box.remove();
+      } else if (e.key === 'Escape') {
+        box.remove();
+      }
+    });
+
+    box.appendChild(textarea);
+    statusIndicator.appendChild(box);
+    textarea.focus();
+  }
+
   // ============================================================
   // IFRAME BORDER FLASH SYSTEM
   // ============================================================
@@ -357,13 +481,35 @@
   // IMAGE SAVE DOT SYSTEM
   // ============================================================
 
-  function shouldAddDot(img) {
-    if (!img || !img.src) return false;
-    if (imageDotsAdded.has(img)) return false;
-    if (!IMG_EXTENSIONS.test(img.src)) return false;
-    if (img.naturalWidth < IMG_MIN_SIZE || img.naturalHeight < IMG_MIN_SIZE) return false;
-    if (img.width < IMG_MIN_SIZE || img.height < IMG_MIN_SIZE) return false;
-    return true;
+  // Save dots go on <img> elements (whatever their format - background.js
+  // reads the actual content type) and on elements showing a CSS
+  // background image, such as slides. With settings.autoSaveImages on,
+  // every large enough image is also saved as it appears; background.js
+  // skips ones whose content was saved before.
+
+  // The address and description of an element's image, or null
+  function imageInfo(element) {
+    if (element.tagName === 'IMG') {
+      // currentSrc is the candidate picked from srcset / <picture>
+      const url = element.currentSrc || element.src;
+      return url ? { url, alt: cleanText(element.alt || '') } : null;
+    }
+    const match = getComputedStyle(element).backgroundImage.match(/url\(["']?(.*?)["']?\)/);
+    if (!match) return null;
+    return { url: match[1], alt: cleanText(element.getAttribute('aria-label') || element.title || '') };
+  }
+
+  function isQualifyingImage(element, minSize) {
+    if (element.offsetWidth < minSize || element.offsetHeight < minSize) return false;
+    // SVGs without an intrinsic size report 0 here
+    if (element.tagName === 'IMG' && element.naturalWidth > 0 &&
+        (element.naturalWidth < minSize || element.naturalHeight < minSize)) return false;
+    return imageInfo(element) !== null;
+  }
+
+  function shouldAddDot(element) {
+    if (!element || imageDotsAdded.has(element)) return false;
+    return isQualifyingImage(element, settings.imageMinSize);
   }
 
   function getImageTimestamp() {
@@ -374,7 +520,19 @@
     return `${hh}-${mm}-${ss}`;
   }
 
-  function createImageDot(img) {
+  // background.js adds the extension once it knows the content type
+  function sendImage(info, auto) {
+    return browser.runtime.sendMessage({
+      action: 'saveImage',
+      url: info.url,
+      filename: `img-${getImageTimestamp()}`,
+      alt: info.alt,
+      frameId: getFrameId(),
+      auto: auto
+    });
+  }
+
+  function createImageDot(element) {
     const dot = document.createElement('div');
     dot.className = 'acc-image-save-dot';
     dot.title = 'Save image (ACC)';
@@ -401,58 +559,60 @@
       <path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/>
     </svg>`;
 
-    dot.addEventListener('click', async (e) => {
+    const flash = (color) => {
+      dot.style.background = color;
+      setTimeout(() => {
+        dot.style.background = '#e74c3c';
+      }, 500);
+    };
+
+    dot.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
       
-      const timestamp = getImageTimestamp();
-      const extension = img.src.match(/\.(png|jpe?g)/i)?.[1]?.toLowerCase() || 'png';
-      const ext = extension === 'jpeg' ? 'jpg' : extension;
-      
-      try {
-        browser.runtime.sendMessage({
-          action: 'saveImage',
-          url: img.src,
-          filename: `img-${timestamp}.${ext}`
-        });
-        
-        dot.style.background = '#27ae60';
-        setTimeout(() => {
-          dot.style.background = '#e74c3c';
-        }, 500);
-        
-      } catch (err) {
+      const info = imageInfo(element);
+      if (!info) return;
+
+      sendImage(info, false).then(() => {
+        flash('#27ae60');
+      }).catch((err) => {
         console.error('[ACC] Failed to save image:', err);
-        dot.style.background = '#95a5a6';
-        setTimeout(() => {
-          dot.style.background = '#e74c3c';
-        }, 500);
-      }
+        flash('#95a5a6');
+      });
     });
 
     return dot;
   }
 
-  function addDotToImage(img) {
-    if (!shouldAddDot(img)) return;
+  function addDotToImage(element) {
+    if (!shouldAddDot(element)) return;
     
-    imageDotsAdded.add(img);
-    
-    const parent = img.parentElement;
-    if (!parent) return;
+    imageDotsAdded.add(element);
     
     let wrapper;
-    if (getComputedStyle(parent).position === 'static') {
-      wrapper = document.createElement('span');
-      wrapper.className = 'acc-image-wrapper';
-      wrapper.style.cssText = `position: relative; display: inline-block;`;
-      img.parentNode.insertBefore(wrapper, img);
-      wrapper.appendChild(img);
+    if (element.tagName === 'IMG') {
+      const parent = element.parentElement;
+      if (!parent) return;
+
+      if (getComputedStyle(parent).position === 'static') {
+        wrapper = document.createElement('span');
+        wrapper.className = 'acc-image-wrapper';
+        wrapper.style.cssText = `position: relative; display: inline-block;`;
+        element.parentNode.insertBefore(wrapper, element);
+        wrapper.appendChild(element);
+      } else {
+        wrapper = parent;
+      }
     } else {
-      wrapper = parent;
+      // Background images carry the dot themselves
+      wrapper = element;
+      if (getComputedStyle(wrapper).position === 'static') {
+        wrapper.style.position = 'relative';
+        wrapper.classList.add('acc-image-host');
+      }
     }
     
-    const dot = createImageDot(img);
+    const dot = createImageDot(element);
     wrapper.appendChild(dot);
     
     const showDot = () => { dot.style.opacity = '1'; };
@@ -462,55 +622,308 @@
     wrapper.addEventListener('mouseleave', hideDot);
   }
 
-  function scanForImages() {
-    if (!isCapturing || !isTopFrame) return;
+  function autoSaveImage(element) {
+    if (!settings.autoSaveImages || isPaused || !isCaptureAllowed()) return;
+    if (!isQualifyingImage(element, AUTO_SAVE_MIN_SIZE)) return;
+
+    const info = imageInfo(element);
+    if (autoSavedUrls.has(info.url)) return;
+    autoSavedUrls.add(info.url);
+    sendImage(info, true).catch(() => {});
+  }
+
+  function handleImage(element) {
+    addDotToImage(element);
+    autoSaveImage(element);
+  }
+
+  // Reading computed styles forces a style recalculation, so background
+  // images are looked for in idle time, and only on elements big enough to
+  // get a save dot at all
+  function hasBackgroundImage(element) {
+    if (element.tagName === 'HTML' || element.tagName === 'BODY' || element.tagName === 'IMG') return false;
+    if (element.offsetWidth < settings.imageMinSize || element.offsetHeight < settings.imageMinSize) return false;
+    if (isSkippedElement(element)) return false;
+    return getComputedStyle(element).backgroundImage.includes('url(');
+  }
+
+  let pendingBackgroundChecks = [];
+  let backgroundChecksScheduled = false;
+
+  function whenIdle(callback) {
+    if (typeof requestIdleCallback === 'function') {
+      requestIdleCallback(callback, { timeout: 2000 });
+    } else {
+      setTimeout(() => callback({ timeRemaining: () => 10 }), 50);
+    }
+  }
+
+  function queueBackgroundChecks(elements) {
+    pendingBackgroundChecks.push(...elements);
+    if (backgroundChecksScheduled || pendingBackgroundChecks.length === 0) return;
+    backgroundChecksScheduled = true;
+    whenIdle(runBackgroundChecks);
+  }
+
+  function runBackgroundChecks(deadline) {
+    backgroundChecksScheduled = false;
+    let checked = 0;
+    while (checked < pendingBackgroundChecks.length && (checked === 0 || deadline.timeRemaining() > 1)) {
+      const element = pendingBackgroundChecks[checked++];
+      if (isCapturing && element.isConnected && hasBackgroundImage(element)) handleImage(element);
+    }
+    pendingBackgroundChecks = pendingBackgroundChecks.slice(checked);
+    queueBackgroundChecks([]);
+  }
+
+  // Images in (or at) root; <img> elements still loading are handled once loaded
+  function scanForImages(root = document) {
+    if (!isCapturing) return;
+    if (![Node.ELEMENT_NODE, Node.DOCUMENT_NODE, Node.DOCUMENT_FRAGMENT_NODE].includes(root.nodeType)) return;
     
-    const images = document.querySelectorAll('img');
+    const images = safeQueryAll(root, 'img');
+    if (root.tagName === 'IMG') images.push(root);
     images.forEach(img => {
       if (img.complete) {
-        addDotToImage(img);
+        handleImage(img);
       } else {
-        img.addEventListener('load', () => addDotToImage(img), { once: true });
+        img.addEventListener('load', () => handleImage(img), { once: true });
       }
     });
+
+    const elements = safeQueryAll(root, '*');
+    if (root.nodeType === Node.ELEMENT_NODE) elements.push(root);
+    queueBackgroundChecks(elements);
   }
 
   function removeAllImageDots() {
-    document.querySelectorAll('.acc-image-save-dot').forEach(dot => dot.remove());
-    
-    document.querySelectorAll('.acc-image-wrapper').forEach(wrapper => {
-      const img = wrapper.querySelector('img');
-      if (img && wrapper.parentNode) {
-        wrapper.parentNode.insertBefore(img, wrapper);
-        wrapper.remove();
-      }
-    });
+    for (const root of [document, ...findShadowRoots(document.documentElement)]) {
+      root.querySelectorAll('.acc-image-save-dot').forEach(dot => dot.remove());
+
+      root.querySelectorAll('.acc-image-wrapper').forEach(wrapper => {
+        const img = wrapper.querySelector('img');
+        if (img && wrapper.parentNode) {
+          wrapper.parentNode.insertBefore(img, wrapper);
+          wrapper.remove();
+        }
+      });
+
+      root.querySelectorAll('.acc-image-host').forEach(host => {
+        host.style.position = '';
+        host.classList.remove('acc-image-host');
+      });
+    }
     
     imageDotsAdded = new WeakSet();
+    pendingBackgroundChecks = [];
+  }
+
+  // ============================================================
+  // SETTINGS AND SITE RULES
+  // ============================================================
+
+  // Settings this script uses from the options page (stored in
+  // storage.local alongside the ones background.js reads)
+  const DEFAULT_SETTINGS = {
+    extractionMode: 'flat',
+    captureDescriptions: true,
+    captureFormValues: false,
+    autoSaveImages: false,
+    minTextLength: 10,
+    maxTextLength: 100000,
+    throttleMs: 250,
+    imageMinSize: 50,
+    builtinNoisePatterns: true,
+    noisePatterns: []
+  };
+  let settings = { ...DEFAULT_SETTINGS };
+  let noisePatterns = NOISE_PATTERNS;
+
+  // Custom noise patterns are regular expression sources, matched
+  // case-insensitively; one that does not compile is ignored
+  function applySettings(stored) {
+    settings = { ...DEFAULT_SETTINGS, ...stored };
+    const custom = [];
+    for (const source of settings.noisePatterns) {
+      try {
+        custom.push(new RegExp(source, 'i'));
+      } catch (e) {}
+    }
+    noisePatterns = settings.builtinNoisePatterns ? [...NOISE_PATTERNS, ...custom] : custom;
+  }
+
+  // Per-site rules edited on the options page:
+  // { pattern, allow, include, exclude, skipText }. The first rule whose
+  // pattern matches this frame's URL applies. `include` lists the CSS
+  // selectors of the content roots; `exclude` lists selectors whose text is
+  // skipped; `skipText` lists regular expressions for text to drop, some
+  // taught by deleting entries on the review page.
+  let siteRules = [];
+  let cachedRule = { href: null, rule: null, skip: [] };
+
+  const configReady = browser.storage.local.get(['settings', 'siteRules']).then((stored) => {
+    applySettings(stored.settings);
+    siteRules = stored.siteRules || [];
+  }).catch(() => {});
+
+  browser.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes.settings) {
+      applySettings(changes.settings.newValue);
+    }
+    if (changes.siteRules) {
+      siteRules = changes.siteRules.newValue || [];
+      cachedRule = { href: null, rule: null, skip: [] };
+    }
+  });
+
+  // patternToRegExp() and ruleMatches() come from site-rules.js
+
+  function getSiteRule() {
+    const href = window.location.href;
+    if (cachedRule.href !== href) {
+      let rule = null;
+      try {
+        const url = new URL(href);
+        rule = siteRules.find(candidate => ruleMatches(candidate, url)) || null;
+      } catch (e) {}
+      cachedRule = { href, rule, skip: compileSkipText(rule) };
+    }
+    return cachedRule.rule;
+  }
+
+  // A pattern that does not compile is ignored rather than matching everything
+  function compileSkipText(rule) {
+    const patterns = [];
+    for (const source of (rule && rule.skipText) || []) {
+      try {
+        patterns.push(new RegExp(source, 'i'));
+      } catch (e) {}
+    }
+    return patterns;
+  }
+
+  function isSkippedText(text) {
+    getSiteRule();
+    return cachedRule.skip.some(pattern => pattern.test(text));
+  }
+
+  function isCaptureAllowed() {
+    const rule = getSiteRule();
+    return !rule || rule.allow !== false;
+  }
+
+  // Selector helpers that treat a mistyped selector as "no match"
+  function safeMatches(element, selector) {
+    try {
+      return Boolean(selector) && element.matches(selector);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Continues past shadow roots to their hosts
+  function safeClosest(node, selector) {
+    let element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement || shadowHostOf(node);
+    try {
+      while (selector && element) {
+        if (element.closest(selector)) return true;
+        element = shadowHostOf(element);
+      }
+    } catch (e) {}
+    return false;
+  }
+
+  // The host of the shadow root a node is in, or null
+  function shadowHostOf(node) {
+    const root = node.getRootNode ? node.getRootNode() : null;
+    return root && root.host ? root.host : null;
+  }
+
+  function safeQueryAll(root, selector) {
+    try {
+      return [...root.querySelectorAll(selector)];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // The elements to extract for a node under the current rule: the node
+  // itself when it is inside a content root (or no roots are configured),
+  // otherwise any content roots it contains
+  function contentRootsFor(node) {
+    const rule = getSiteRule();
+    if (rule && rule.exclude && safeClosest(node, rule.exclude)) return [];
+    if (safeClosest(node, TRANSCRIPT_SEGMENT_SELECTOR)) return [];
+    if (insideQuiz(node)) return [];
+    if (safeClosest(node, PDF_TEXT_LAYER_SELECTOR)) return [];
+    if (!rule || !rule.include) return [node];
+    if (safeClosest(node, rule.include)) return [node];
+    if (node.nodeType !== Node.ELEMENT_NODE) return [];
+    return safeQueryAll(node, rule.include);
   }
 
   // ============================================================
   // TEXT EXTRACTION AND PROCESSING
   // ============================================================
 
-  function extractText(element) {
+  // Elements whose text is never captured
+  function isSkippedElement(element) {
     if (!element || IGNORED_TAGS.has(element.tagName)) {
-      return '';
+      return true;
     }
 
     if (element.id === INDICATOR_ID) {
-      return '';
+      return true;
+    }
+
+    const rule = getSiteRule();
+    if (rule && rule.exclude && safeMatches(element, rule.exclude)) {
+      return true;
+    }
+
+    // Transcript segments are captured as captions instead
+    if (safeMatches(element, TRANSCRIPT_SEGMENT_SELECTOR)) {
+      return true;
+    }
+
+    // So are questions, as quizzes
+    if (quizzes.has(element)) {
+      return true;
+    }
+
+    // And PDF.js text layers, page by page
+    if (safeMatches(element, PDF_TEXT_LAYER_SELECTOR)) {
+      return true;
     }
     
     try {
       if (element.closest && element.closest('#' + INDICATOR_ID)) {
-        return '';
+        return true;
       }
     } catch (e) {}
 
+    return false;
+  }
+
+  // Child nodes as rendered: an open shadow root's content in place of the
+  // host's own children, and a slot's assigned nodes (its fallback if none)
+  function renderedChildNodes(element) {
+    if (element.shadowRoot) return element.shadowRoot.childNodes;
+    if (element.tagName === 'SLOT' && element.assignedNodes) {
+      return element.assignedNodes({ flatten: true });
+    }
+    return element.childNodes;
+  }
+
+  function extractText(element) {
+    if (isSkippedElement(element)) {
+      return '';
+    }
+
     let text = '';
     
-    for (const node of element.childNodes) {
+    for (const node of renderedChildNodes(element)) {
       if (node.nodeType === Node.TEXT_NODE) {
         text += node.textContent;
       } else if (node.nodeType === Node.ELEMENT_NODE) {
@@ -521,6 +934,100 @@
     return text;
   }
 
+  // Tags that start a new block in structured extraction
+  const BLOCK_TAGS = new Set([
+    'P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'ASIDE', 'HEADER', 'FOOTER',
+    'NAV', 'BLOCKQUOTE', 'FIGURE', 'FIGCAPTION', 'TABLE', 'TR', 'DL', 'DT',
+    'DD', 'BR', 'HR', 'FORM', 'FIELDSET', 'DETAILS', 'SUMMARY', 'ADDRESS'
+  ]);
+
+  // Walk the DOM semantically and return blocks:
+  // { type: 'heading', level, text }, { type: 'paragraph', text },
+  // { type: 'list-item', ordered, depth, text } and { type: 'code', text }
+  function extractBlocks(root) {
+    const blocks = [];
+    let inline = '';
+    let listItem = null;
+
+    // Turn the inline text gathered so far into a block
+    function flush() {
+      const text = cleanText(inline);
+      inline = '';
+      if (!text) return;
+      if (listItem) {
+        blocks.push({ type: 'list-item', ordered: listItem.ordered, depth: listItem.depth, text });
+        listItem = null;
+      } else {
+        blocks.push({ type: 'paragraph', text });
+      }
+    }
+
+    function walkChildren(element, depth, ordered) {
+      for (const node of renderedChildNodes(element)) {
+        if (node.nodeType === Node.TEXT_NODE) {
+          inline += node.textContent;
+        } else if (node.nodeType === Node.ELEMENT_NODE) {
+          walk(node, depth, ordered);
+        }
+      }
+    }
+
+    function walk(element, depth, ordered) {
+      if (isSkippedElement(element)) return;
+      const tag = element.tagName;
+
+      const heading = tag.match(/^H([1-6])$/);
+      if (heading) {
+        flush();
+        const text = cleanText(extractText(element));
+        if (text) blocks.push({ type: 'heading', level: Number(heading[1]), text });
+        return;
+      }
+
+      // Preformatted text keeps its own line breaks and indentation
+      if (tag === 'PRE') {
+        flush();
+        const text = element.textContent.replace(/^\n+/, '').replace(/\s+$/, '');
+        if (text.trim()) blocks.push({ type: 'code', text });
+        return;
+      }
+
+      if (tag === 'UL' || tag === 'OL') {
+        flush();
+        walkChildren(element, depth + 1, tag === 'OL');
+        flush();
+        return;
+      }
+
+      if (tag === 'LI') {
+        flush();
+        listItem = { ordered, depth: Math.max(depth, 1) };
+        walkChildren(element, depth, ordered);
+        flush();
+        listItem = null;
+        return;
+      }
+
+      const isBlock = BLOCK_TAGS.has(tag);
+      if (isBlock) flush();
+      walkChildren(element, depth, ordered);
+      if (isBlock) flush();
+    }
+
+    walk(root, 0, false);
+    flush();
+    return blocks;
+  }
+
+  // Text (and, in structured mode, blocks) for a content root
+  function extractContent(root) {
+    if (settings.extractionMode !== 'structured') {
+      return { text: extractText(root), blocks: null };
+    }
+    const blocks = extractBlocks(root);
+    return { text: blocks.map(block => block.text).join('\n'), blocks };
+  }
+
   function cleanText(text) {
     return text
       .replace(/\s+/g, ' ')
@@ -528,6 +1035,16 @@
       .trim();
   }
 
+  // FNV-1a over the whole text, so texts sharing a prefix don't collide
+  function textHash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return `${(hash >>> 0).toString(16)}:${text.length}`;
+  }
+
   function getFrameId() {
     if (isTopFrame) return 'main';
     try {
@@ -539,15 +1056,20 @@
     }
   }
 
-  function processText(text, source = 'mutation') {
+  function processText(text, source = 'mutation', blocks = null) {
+    if (!isCaptureAllowed()) {
+      return;
+    }
+
     let cleaned = cleanText(text);
     
-    // Truncate if exceeds maximum length
-    if (cleaned.length > MAX_TEXT_LENGTH) {
-      cleaned = cleaned.substring(0, MAX_TEXT_LENGTH) + ' [too long to capture]';
+    // Truncate if exceeds maximum length (structure is dropped with it)
+    if (cleaned.length > settings.maxTextLength) {
+      cleaned = cleaned.substring(0, settings.maxTextLength) + ' [too long to capture]';
+      blocks = null;
     }
     
-    if (cleaned.length < MIN_TEXT_LENGTH) {
+    if (cleaned.length < settings.minTextLength) {
       return;
     }
 
@@ -560,21 +1082,31 @@
     }
 
     // Filter noise patterns
-    for (const pattern of NOISE_PATTERNS) {
+    for (const pattern of noisePatterns) {
       if (pattern.test(cleaned)) {
         return;
       }
     }
 
-    // Filter if mostly CSS
-    const specialChars = (cleaned.match(/[{};:]/g) || []).length;
-    const totalChars = cleaned.length;
-    if (specialChars / totalChars > 0.1) {
+    // Filter text this site's rule says to skip
+    if (isSkippedText(cleaned)) {
+      return;
+    }
+
+    // Filter if mostly CSS. Code blocks are full of braces and semicolons
+    // by nature, so only the text around them counts.
+    const checkedText = blocks
+      ? blocks.filter(block => block.type !== 'code').map(block => block.text).join('\n')
+      : cleaned;
+    const specialChars = (checkedText.match(/[{};:]/g) || []).length;
+    const totalChars = checkedText.length;
+    if (totalChars > 0 && specialChars / totalChars > 0.1) {
       return;
     }
 
-    // Local deduplication
-    const hash = cleaned.substring(0, 100) + cleaned.length;
+    // Local deduplication of exact repeats; background.js also catches
+    // near-duplicates and growing text
+    const hash = textHash(cleaned);
     if (seenText.has(hash)) {
       return;
     }
@@ -591,6 +1123,11 @@
       text: cleaned
     };
 
+    // A lone paragraph carries no structure worth keeping
+    if (blocks && !(blocks.length === 1 && blocks[0].type === 'paragraph')) {
+      entry.blocks = blocks;
+    }
+
     // Send to background script
     browser.runtime.sendMessage({
       action: 'captureText',
@@ -604,101 +1141,1067 @@
   }
 
   // ============================================================
-  // MUTATION OBSERVER
+  // DESCRIPTIONS AND FORM VALUES
   // ============================================================
 
-  function captureInitialContent() {
-    if (document.body) {
-      const text = extractText(document.body);
-      if (text) {
-        processText(text, 'initial');
-      }
+  // Text that is not in the page's text nodes: the alt text, aria-label and
+  // title of images and figures (settings.captureDescriptions) and what fields
+  // hold or have selected (settings.captureFormValues). Each goes through
+  // processText with a source naming where it came from.
+
+  // Only images and figures; the labels of icon buttons, links and
+  // tooltips elsewhere are interface, not content
+  const DESCRIPTION_SELECTOR = 'img[alt], img[aria-label], img[title], [role="img"], figure[aria-label], figure[title]';
+  const INTERACTIVE_SELECTOR = 'button, a, [role="button"], [role="menuitem"], input, textarea, select';
+  const FORM_FIELD_SELECTOR = 'input, textarea, select';
+
+  // Inputs holding typed text; passwords, email addresses, phone numbers,
+  // hidden fields, buttons, radio buttons and checkboxes are left out
+  const TEXT_INPUT_TYPES = new Set([
+    'text', 'search', 'url', 'number',
+    'date', 'time', 'datetime-local', 'month', 'week'
+  ]);
+
+  // autocomplete hints of personal details, which are never read
+  const PERSONAL_AUTOCOMPLETE = /\b(cc-|current-password|new-password|one-time-code|email|tel|name|given-name|additional-name|family-name|nickname|username|honorific-|address-|street-address|postal-code|country|bday|sex|organization)/;
+
+  // Our own save dots and note box carry titles and fields too
+  const OWN_UI_SELECTOR = `.acc-image-save-dot, #${NOTE_BOX_ID}`;
+
+  // Only elements whose text would be captured: inside a content root and
+  // not excluded, part of a quiz or our own UI
+  function isCapturedElement(element) {
+    return contentRootsFor(element).includes(element) &&
+           !isSkippedElement(element) &&
+           !safeClosest(element, OWN_UI_SELECTOR);
+  }
+
+  // Descriptions of the element that its own text does not already say
+  function elementDescriptions(element) {
+    const ownText = cleanText(element.textContent);
+    const descriptions = [];
+    const add = (source, value) => {
+      const text = cleanText(value || '');
+      if (!text || ownText.includes(text) || descriptions.some(description => description.text === text)) return;
+      descriptions.push({ source, text });
+    };
+
+    if (element.tagName === 'IMG') add('alt', element.getAttribute('alt'));
+    // An image inside a button or link keeps its alt text only
+    if (safeClosest(element, INTERACTIVE_SELECTOR)) return descriptions;
+    add('aria-label', element.getAttribute('aria-label'));
+    add('title', element.getAttribute('title'));
+    return descriptions;
+  }
+
+  function fieldLabel(field) {
+    if (field.labels && field.labels.length > 0) return cleanText(field.labels[0].textContent);
+    return cleanText(field.getAttribute('aria-label') || field.placeholder || field.name || '');
+  }
+
+  // { source, text } for the field's value, or null if it has none to keep
+  function fieldValue(field) {
+    let source;
+    let value;
+    if (field.tagName === 'SELECT') {
+      source = 'select';
+      value = [...field.selectedOptions].map(option => cleanText(option.textContent)).join(', ');
+    } else if (field.tagName === 'TEXTAREA' || TEXT_INPUT_TYPES.has(field.type)) {
+      // Names, addresses, card numbers and passwords in text fields say so
+      // in autocomplete
+      if (PERSONAL_AUTOCOMPLETE.test(field.getAttribute('autocomplete') || '')) return null;
+      source = 'input';
+      value = field.value.trim();
+    } else {
+      return null;
     }
+    if (!value) return null;
+
+    const label = fieldLabel(field);
+    return { source, text: label ? `${label}: ${value}` : value };
   }
 
-  function processPendingMutations() {
-    processingScheduled = false;
-    
-    if (pendingMutations.length === 0) return;
-    
-    const mutations = pendingMutations;
-    pendingMutations = [];
-    
-    for (const mutation of mutations) {
-      for (const node of mutation.addedNodes) {
-        if (node.nodeType === Node.ELEMENT_NODE) {
-          const text = extractText(node);
-          if (text) {
-            processText(text, 'added');
-          }
-          
-          // Scan for images in added elements (top frame only)
-          if (isTopFrame && isCapturing) {
-            if (node.tagName === 'IMG') {
-              if (node.complete) {
-                addDotToImage(node);
-              } else {
-                node.addEventListener('load', () => addDotToImage(node), { once: true });
-              }
-            } else if (node.querySelectorAll) {
-              node.querySelectorAll('img').forEach(img => {
-                if (img.complete) {
-                  addDotToImage(img);
-                } else {
-                  img.addEventListener('load', () => addDotToImage(img), { once: true });
-                }
-              });
-            }
-          }
-        } else if (node.nodeType === Node.TEXT_NODE) {
-          const text = node.textContent;
-          if (text) {
-            processText(text, 'text-node');
-          }
-        }
-      }
-      
-      if (mutation.type === 'characterData' && mutation.target) {
-        const text = mutation.target.textContent;
-        if (text) {
-          processText(text, 'modified');
-        }
-      }
+  function captureFieldValue(field) {
+    if (!settings.captureFormValues || insideQuiz(field) || !isCapturedElement(field)) return;
+    const value = fieldValue(field);
+    if (value) {
+      processText(value.text, value.source);
     }
   }
 
-  function startObserver() {
-    if (!document.body) {
-      const bodyWaiter = new MutationObserver(() => {
-        if (document.body) {
-          bodyWaiter.disconnect();
-          captureInitialContent();
-          startObserverOnBody();
+  // Descriptions and field values in (or at) root
+  function scanDescriptions(root) {
+    if (root.nodeType !== Node.ELEMENT_NODE && root.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) return;
+
+    if (settings.captureDescriptions) {
+      const elements = safeQueryAll(root, DESCRIPTION_SELECTOR);
+      if (safeMatches(root, DESCRIPTION_SELECTOR)) elements.push(root);
+      for (const element of elements) {
+        if (!isCapturedElement(element)) continue;
+        for (const { source, text } of elementDescriptions(element)) {
+          processText(text, source);
         }
-      });
-      bodyWaiter.observe(document.documentElement, { childList: true });
-      return;
+      }
     }
-    
-    captureInitialContent();
-    startObserverOnBody();
+
+    // A drop-down's default choice says nothing; it is captured once changed
+    const fields = safeQueryAll(root, FORM_FIELD_SELECTOR);
+    if (safeMatches(root, FORM_FIELD_SELECTOR)) fields.push(root);
+    fields.filter(field => field.tagName !== 'SELECT').forEach(captureFieldValue);
   }
 
-  function startObserverOnBody() {
-    observer = new MutationObserver((mutations) => {
-      pendingMutations.push(...mutations);
-      
-      if (!processingScheduled) {
-        processingScheduled = true;
-        setTimeout(processPendingMutations, THROTTLE_MS);
+  // Typed values are captured once the field is left, not per keystroke
+  function handleFieldChange(event) {
+    if (!isCapturing || isPaused) return;
+    if (safeMatches(event.target, FORM_FIELD_SELECTOR)) captureFieldValue(event.target);
+  }
+
+  document.addEventListener('change', handleFieldChange, true);
+
+  // ============================================================
+  // PDF.JS PAGES
+  // ============================================================
+
+  // PDF.js viewers draw each page on a canvas under a text layer of
+  // absolutely positioned fragments, which page-text extraction would run
+  // together and the filters would mostly drop. Instead, once a page's
+  // text layer has rendered it is rebuilt into lines and sent as one entry
+  // with source 'pdf-page' and the page number in pdfPage.
+
+  const PDF_PAGE_SELECTOR = '.page[data-page-number]';
+  const PDF_TEXT_LAYER_SELECTOR = '.page[data-page-number] .textLayer';
+
+  // Text layers render in bursts; wait for a quiet moment
+  const PDF_SETTLE_MS = 500;
+
+  let pendingPdfPages = new Set();
+  let pdfTimer = null;
+
+  // Fragments on the same line share their top offset; newer versions
+  // also end each line with a <br>
+  function pdfTextLines(textLayer) {
+    const lines = [];
+    let line = '';
+    let lastTop = null;
+    const endLine = () => {
+      const text = cleanText(line);
+      if (text) lines.push(text);
+      line = '';
+    };
+
+    const walker = document.createTreeWalker(textLayer, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        if (node.tagName === 'BR') endLine();
+        continue;
+      }
+      const top = node.parentElement ? node.parentElement.style.top : '';
+      if (top && lastTop !== null && top !== lastTop) endLine();
+      if (top) lastTop = top;
+      line += node.textContent;
+    }
+    endLine();
+    return lines;
+  }
+
+  // Lines joined back up, mending words hyphenated across them
+  function pdfPageText(textLayer) {
+    return pdfTextLines(textLayer).reduce((text, line) => {
+      if (!text) return line;
+      return /\w-$/.test(text) ? text.slice(0, -1) + line : `${text}\n${line}`;
+    }, '');
+  }
+
+  function sendPdfPage(page) {
+    if (!isCapturing || isPaused || !isCaptureAllowed() || !isCapturedElement(page)) return;
+
+    const textLayer = page.querySelector('.textLayer');
+    if (!textLayer) return;
+    let text = pdfPageText(textLayer);
+    if (!text) return;
+    if (text.length > settings.maxTextLength) {
+      text = text.substring(0, settings.maxTextLength) + ' [too long to capture]';
+    }
+
+    // Zooming renders the text layer again
+    const pdfPage = Number(page.dataset.pageNumber);
+    const hash = textHash(`${pdfPage}\n${text}`);
+    if (seenText.has(hash)) return;
+    seenText.add(hash);
+
+    browser.runtime.sendMessage({
+      action: 'captureText',
+      entry: {
+        timestamp: new Date().toISOString(),
+        source: 'pdf-page',
+        frameId: getFrameId(),
+        url: window.location.href,
+        text,
+        pdfPage
+      }
+    }).catch(() => {});
+
+    if (!isTopFrame) {
+      triggerFlashUpward();
+    }
+  }
+
+  // Queue the PDF pages in, at or around node for capture
+  function queuePdfPages(node) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    if (!element) return;
+
+    const pages = safeQueryAll(element, PDF_PAGE_SELECTOR);
+    const around = element.closest(PDF_PAGE_SELECTOR);
+    if (around) pages.push(around);
+    if (pages.length === 0) return;
+
+    pages.forEach(page => pendingPdfPages.add(page));
+    clearTimeout(pdfTimer);
+    pdfTimer = setTimeout(() => {
+      const queued = pendingPdfPages;
+      pendingPdfPages = new Set();
+      pdfTimer = null;
+      for (const page of queued) {
+        if (page.isConnected) sendPdfPage(page);
+      }
+    }, PDF_SETTLE_MS);
+  }
+
+  function resetPdfPages() {
+    clearTimeout(pdfTimer);
+    pdfTimer = null;
+    pendingPdfPages = new Set();
+  }
+
+  // ============================================================
+  // VIDEO CAPTIONS, TRANSCRIPTS AND PLAYBACK
+  // ============================================================
+
+  // Caption cues are read from each <video>'s text tracks as they are
+  // shown, and transcript panels of common players segment by segment.
+  // Both are sent as entries of type 'caption' with the video's title and
+  // the media time in seconds, bypassing processText's page-text filters.
+
+  const CAPTION_KINDS = new Set(['captions', 'subtitles']);
+
+  // Transcript panels: the element of one segment, plus where its time and
+  // text are when the segment holds more than the text
+  const TRANSCRIPT_PANELS = [
+    // YouTube
+    { segment: 'ytd-transcript-segment-renderer', time: '.segment-timestamp', text: '.segment-text' },
+    // Udemy
+    { segment: '[data-purpose="transcript-cue"]' },
+    // Coursera
+    { segment: '.rc-Phrase' },
+    // Other players marking segments with their start time
+    { segment: '[class*="transcript" i] [data-start], [class*="transcript" i] [data-start-time]' }
+  ];
+  const TRANSCRIPT_SEGMENT_SELECTOR = TRANSCRIPT_PANELS.map(panel => panel.segment).join(', ');
+  const TIME_ATTRIBUTES = ['data-start', 'data-start-time', 'data-time'];
+
+  // Media events after which the playing position no longer follows from
+  // the previous report
+  const PLAYBACK_EVENTS = ['play', 'playing', 'pause', 'waiting', 'seeked', 'ratechange', 'ended'];
+
+  let hookedVideos = new WeakSet();
+  let hookedTracks = new WeakSet();
+  let seenTranscriptSegments = new WeakSet();
+
+  // Tracks switched from disabled to hidden so their cues load; put back on stop
+  let enabledTracks = [];
+
+  // The video's own title or label, else the nearest labelled player, else the page
+  function videoTitle(video) {
+    if (video) {
+      const labelled = video.closest('[aria-label]');
+      const title = video.getAttribute('title') || (labelled && labelled.getAttribute('aria-label'));
+      if (title) return cleanText(title);
+    }
+    return cleanText(document.title) || getFrameId();
+  }
+
+  // "1:02:03", "02:03" or a plain number of seconds
+  function parseMediaTime(value) {
+    if (!value) return null;
+    const text = value.trim();
+    if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+    const match = text.match(/(?:(\d+):)?(\d{1,2}):(\d{2})/);
+    if (!match) return null;
+    return Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+  }
+
+  // Title and addresses exports use to label and link to a point in the video.
+  // Streamed videos play from blob: URLs, which are useless outside the page.
+  function videoInfo(video) {
+    const src = video ? video.currentSrc : '';
+    return {
+      videoTitle: videoTitle(video),
+      videoSrc: /^https?:/.test(src) ? src : null,
+      videoPage: window.location.href
+    };
+  }
+
+  function roundMediaTime(seconds) {
+    return Math.round(seconds * 10) / 10;
+  }
+
+  function sendCaption(text, mediaTime, video, source) {
+    if (!isCapturing || isPaused || !isCaptureAllowed()) return;
+
+    const cleaned = cleanText(text);
+    if (!cleaned) return;
+
+    // The same cue fires again on exit and when scrubbing back
+    const info = videoInfo(video);
+    const rounded = mediaTime === null ? null : roundMediaTime(mediaTime);
+    const hash = textHash(`${info.videoTitle}\n${rounded}\n${cleaned}`);
+    if (seenText.has(hash)) return;
+    seenText.add(hash);
+
+    browser.runtime.sendMessage({
+      action: 'captureText',
+      entry: {
+        timestamp: new Date().toISOString(),
+        type: 'caption',
+        source,
+        frameId: getFrameId(),
+        url: window.location.href,
+        text: cleaned,
+        mediaTime: rounded,
+        ...info
+      }
+    }).catch(() => {});
+
+    if (!isTopFrame) {
+      triggerFlashUpward();
+    }
+  }
+
+  // Cue text without WebVTT voice and class tags
+  function cueText(cue) {
+    try {
+      return cue.getCueAsHTML().textContent;
+    } catch (e) {
+      return (cue.text || '').replace(/<[^>]*>/g, '');
+    }
+  }
+
+  function captionTracks(video) {
+    return [...video.textTracks].filter(track => CAPTION_KINDS.has(track.kind));
+  }
+
+  // The track being read: the one on screen, else one loading in the background
+  function activeCaptionTrack(video) {
+    const tracks = captionTracks(video);
+    return tracks.find(track => track.mode === 'showing') ||
+           tracks.find(track => track.mode === 'hidden') || null;
+  }
+
+  // With captions turned off, load the track in the viewer's language
+  // (or the first one) without showing it
+  function ensureCaptionTrack(video) {
+    if (activeCaptionTrack(video)) return;
+
+    const tracks = captionTracks(video);
+    if (tracks.length === 0) return;
+
+    const language = (navigator.language || '').split('-')[0];
+    const track = tracks.find(candidate => (candidate.language || '').split('-')[0] === language) || tracks[0];
+    track.mode = 'hidden';
+    enabledTracks.push(track);
+  }
+
+  function hookTrack(track, video) {
+    if (hookedTracks.has(track) || !CAPTION_KINDS.has(track.kind)) return;
+    hookedTracks.add(track);
+
+    track.addEventListener('cuechange', () => {
+      if (activeCaptionTrack(video) !== track) return;
+      for (const cue of track.activeCues || []) {
+        sendCaption(cueText(cue), cue.startTime, video, 'caption');
       }
     });
+  }
+
+  // Tell background.js where a video is whenever that stops following from
+  // the last report, so it can tag entries captured while it plays (from
+  // any frame of the tab) with the position in the lecture
+  function reportPlayback(video) {
+    if (!isCapturing) return;
 
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true,
-      characterData: true
+    browser.runtime.sendMessage({
+      action: 'videoState',
+      frameId: getFrameId(),
+      video: {
+        playing: !video.paused && !video.ended,
+        mediaTime: video.currentTime,
+        // Buffering holds the position still
+        rate: video.readyState > 2 ? video.playbackRate : 0,
+        ...videoInfo(video)
+      }
+    }).catch(() => {});
+  }
+
+  function hookVideo(video) {
+    if (!hookedVideos.has(video)) {
+      hookedVideos.add(video);
+      for (const type of PLAYBACK_EVENTS) {
+        video.addEventListener(type, () => reportPlayback(video));
+      }
+      // Streaming players often add their tracks after the video starts
+      video.textTracks.addEventListener('addtrack', (event) => {
+        hookTrack(event.track, video);
+        if (isCapturing && !isPaused) ensureCaptionTrack(video);
+      });
+    }
+
+    for (const track of video.textTracks) {
+      hookTrack(track, video);
+    }
+    ensureCaptionTrack(video);
+
+    // Capture may start (or resume) partway through the video
+    if (!video.paused) reportPlayback(video);
+  }
+
+  function captureTranscriptSegment(segment, panel) {
+    if (seenTranscriptSegments.has(segment)) return;
+
+    const textElement = panel.text ? segment.querySelector(panel.text) : segment;
+    const text = textElement ? textElement.textContent : '';
+    if (!cleanText(text)) return;
+    seenTranscriptSegments.add(segment);
+
+    const timeElement = panel.time ? segment.querySelector(panel.time) : null;
+    const timeAttribute = TIME_ATTRIBUTES.find(name => segment.hasAttribute(name));
+    const mediaTime = parseMediaTime(timeElement ? timeElement.textContent : segment.getAttribute(timeAttribute));
+
+    sendCaption(text, mediaTime, document.querySelector('video'), 'transcript');
+  }
+
+  // Hook videos and read transcript segments in (or at) root
+  function scanMedia(root) {
+    if (![Node.ELEMENT_NODE, Node.DOCUMENT_NODE, Node.DOCUMENT_FRAGMENT_NODE].includes(root.nodeType)) return;
+
+    const videos = safeQueryAll(root, 'video');
+    if (root.tagName === 'VIDEO') videos.push(root);
+    videos.forEach(hookVideo);
+
+    for (const panel of TRANSCRIPT_PANELS) {
+      const segments = safeQueryAll(root, panel.segment);
+      if (root.nodeType === Node.ELEMENT_NODE && safeMatches(root, panel.segment)) segments.push(root);
+      for (const segment of segments) {
+        captureTranscriptSegment(segment, panel);
+      }
+    }
+  }
+
+  function restoreCaptionTracks() {
+    for (const track of enabledTracks) {
+      if (track.mode === 'hidden') track.mode = 'disabled';
+    }
+    enabledTracks = [];
+    seenTranscriptSegments = new WeakSet();
+  }
+
+  // ============================================================
+  // QUIZZES
+  // ============================================================
+
+  // A group of radio buttons or checkboxes with a question is sent as one
+  // entry of type 'quiz': the question, each option with whether it is
+  // selected and marked right or wrong, and any feedback shown. Its text is
+  // kept out of page-text extraction, and its state is sent again (once it
+  // settles) whenever the selection or feedback changes.
+
+  const QUIZ_OPTION_SELECTOR = 'input[type="radio"], input[type="checkbox"], [role="radio"], [role="checkbox"]';
+
+  const QUIZ_RADIO_SELECTOR = 'input[type="radio"], [role="radio"]';
+
+  // Containers of one question, most specific first. Generic groups count
+  // only when they hold radio buttons, so toolbars and consent checkboxes
+  // are left alone. Radio buttons outside any of them are grouped by name.
+  const QUIZ_CONTAINERS = [
+    { selector: 'fieldset, [role="group"]', options: QUIZ_RADIO_SELECTOR },
+    { selector: '[role="radiogroup"]', options: QUIZ_OPTION_SELECTOR },
+    { selector: '[data-purpose*="question" i], [class*="quiz-question" i]', options: QUIZ_OPTION_SELECTOR }
+  ];
+
+  const QUIZ_FEEDBACK_SELECTOR = '[role="alert"], [role="status"], [aria-live="polite"], [aria-live="assertive"], ' +
+                                 '[class*="feedback" i], [class*="explanation" i]';
+
+  // Class names platforms use to mark an option or the feedback
+  const CORRECT_CLASS = /(^|[-_])correct([-_]|$)/i;
+  const INCORRECT_CLASS = /(^|[-_])(incorrect|wrong|error)([-_]|$)/i;
+  const CORRECT_FEEDBACK = /^(correct|right|well done|great job)\b/i;
+  const INCORRECT_FEEDBACK = /^(incorrect|wrong|not quite|try again)\b/i;
+
+  // How long answers must stay unchanged before their state is sent
+  const QUIZ_SETTLE_MS = 1000;
+
+  // Longer "questions" are whole pages of radio buttons, not a question
+  const MAX_QUESTION_LENGTH = 2000;
+
+  let quizzes = new Set();
+  let quizTimer = null;
+
+  function isQuizOption(element) {
+    return safeMatches(element, QUIZ_OPTION_SELECTOR);
+  }
+
+  // The nearest container holding this option and at least one other
+  function quizContainerFor(option) {
+    for (const { selector, options } of QUIZ_CONTAINERS) {
+      let container = null;
+      try {
+        container = option.closest(selector);
+      } catch (e) {}
+      if (container && safeQueryAll(container, options).length > 1) {
+        return container;
+      }
+    }
+    return radioGroupContainer(option);
+  }
+
+  // The smallest element holding every radio button of the option's group
+  function radioGroupContainer(option) {
+    if (option.type !== 'radio' || !option.name) return null;
+    const group = safeQueryAll(option.form || document, 'input[type="radio"]')
+      .filter(radio => radio.name === option.name);
+    if (group.length < 2) return null;
+
+    let container = option.parentElement;
+    while (container && !group.every(radio => container.contains(radio))) {
+      container = container.parentElement;
+    }
+    return container === document.body || container === document.documentElement ? null : container;
+  }
+
+  function insideQuiz(node) {
+    for (let element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement; element; element = element.parentElement) {
+      if (quizzes.has(element)) return true;
+    }
+    return false;
+  }
+
+  function idText(ids) {
+    return (ids || '').split(/\s+/)
+      .map(id => document.getElementById(id))
+      .filter(Boolean)
+      .map(element => element.textContent)
+      .join(' ');
+  }
+
+  // The element that reads as the option's label, and its text
+  function optionLabel(option, container) {
+    if (option.labels && option.labels.length > 0) {
+      return { element: option.labels[0], text: cleanText(option.labels[0].textContent) };
+    }
+    const labelled = cleanText(idText(option.getAttribute('aria-labelledby')) || option.getAttribute('aria-label') || '');
+    if (labelled) return { element: option, text: labelled };
+    if (option.tagName !== 'INPUT') return { element: option, text: cleanText(option.textContent) };
+
+    // A bare input takes the text of its wrapper
+    const parent = option.parentElement;
+    if (parent && parent !== container) return { element: parent, text: cleanText(parent.textContent) };
+    return { element: option, text: '' };
+  }
+
+  function isSelected(option) {
+    if (option.tagName === 'INPUT') return option.checked;
+    return option.getAttribute('aria-checked') === 'true';
+  }
+
+  // true or false if the page marks the option right or wrong, else null
+  function optionCorrectness(option, label) {
+    const elements = [option, label, option.closest('li, [role="radio"], [role="checkbox"]')].filter(Boolean);
+    const classes = elements.flatMap(element => [...element.classList]);
+    if (classes.some(name => INCORRECT_CLASS.test(name)) || option.getAttribute('aria-invalid') === 'true') return false;
+    if (classes.some(name => CORRECT_CLASS.test(name))) return true;
+    return null;
+  }
+
+  // Feedback inside the container, or just after it
+  function quizFeedback(container) {
+    const candidates = safeQueryAll(container, QUIZ_FEEDBACK_SELECTOR);
+    for (let sibling = container.nextElementSibling, i = 0; sibling && i < 3; sibling = sibling.nextElementSibling, i++) {
+      if (safeMatches(sibling, QUIZ_FEEDBACK_SELECTOR)) candidates.push(sibling);
+      candidates.push(...safeQueryAll(sibling, QUIZ_FEEDBACK_SELECTOR));
+    }
+    // Keep the outermost of nested matches
+    const elements = candidates.filter(element =>
+      !candidates.some(other => other !== element && other.contains(element)) && element.id !== INDICATOR_ID
+    );
+    return { elements, text: cleanText([...new Set(elements.map(element => cleanText(element.textContent)))].join(' ')) };
+  }
+
+  // Text of the container outside the options, feedback and buttons
+  function textOutside(container, excluded) {
+    let text = '';
+    const walk = (element) => {
+      for (const node of element.childNodes) {
+        if (node.nodeType === Node.TEXT_NODE) {
+          text += node.textContent + ' ';
+        } else if (node.nodeType === Node.ELEMENT_NODE && !excluded.has(node) &&
+                   !IGNORED_TAGS.has(node.tagName) && node.tagName !== 'BUTTON') {
+          walk(node);
+        }
+      }
+    };
+    walk(container);
+    return cleanText(text);
+  }
+
+  function quizQuestion(container, excluded) {
+    const legend = container.tagName === 'FIELDSET' ? container.querySelector('legend') : null;
+    if (legend && cleanText(legend.textContent)) return cleanText(legend.textContent);
+
+    const labelled = cleanText(idText(container.getAttribute('aria-labelledby')) || container.getAttribute('aria-label') || '');
+    if (labelled) return labelled;
+
+    // A radio group's question is often the element just before it
+    const inside = textOutside(container, excluded);
+    if (inside) return inside;
+    const previous = container.previousElementSibling;
+    return previous ? cleanText(previous.textContent) : '';
+  }
+
+  // { question, multiple, options: [{ text, selected, correct }], feedback,
+  // result } or null if the container does not read as a question
+  function readQuiz(container) {
+    const optionElements = safeQueryAll(container, QUIZ_OPTION_SELECTOR);
+    const feedback = quizFeedback(container);
+    const excluded = new Set(feedback.elements);
+
+    const options = [];
+    for (const option of optionElements) {
+      const label = optionLabel(option, container);
+      excluded.add(option);
+      excluded.add(label.element);
+      if (!label.text) continue;
+      options.push({ text: label.text, selected: isSelected(option), correct: optionCorrectness(option, label.element) });
+    }
+
+    const question = quizQuestion(container, excluded);
+    if (!question || question.length > MAX_QUESTION_LENGTH || options.length < 2) return null;
+
+    return {
+      question,
+      multiple: optionElements.some(option => option.type === 'checkbox' || option.getAttribute('role') === 'checkbox'),
+      options,
+      feedback: feedback.text || null,
+      result: quizResult(options, feedback)
+    };
+  }
+
+  // 'correct' or 'incorrect' when the page says so, else null
+  function quizResult(options, feedback) {
+    const classes = feedback.elements.flatMap(element => [...element.classList]);
+    if (classes.some(name => INCORRECT_CLASS.test(name)) || INCORRECT_FEEDBACK.test(feedback.text)) return 'incorrect';
+    if (classes.some(name => CORRECT_CLASS.test(name)) || CORRECT_FEEDBACK.test(feedback.text)) return 'correct';
+
+    const selected = options.filter(option => option.selected);
+    if (selected.some(option => option.correct === false)) return 'incorrect';
+    if (selected.length > 0 && selected.every(option => option.correct === true)) return 'correct';
+    return null;
+  }
+
+  // Readable form of the quiz, for deduplication, search and the library
+  function quizText(quiz) {
+    const lines = [quiz.question];
+    for (const option of quiz.options) {
+      const box = quiz.multiple ? (option.selected ? '[x]' : '[ ]') : (option.selected ? '(•)' : '( )');
+      const mark = option.correct === true ? ' ✓' : option.correct === false ? ' ✗' : '';
+      lines.push(`${box} ${option.text}${mark}`);
+    }
+    if (quiz.feedback) lines.push(`Feedback: ${quiz.feedback}`);
+    return lines.join('\n');
+  }
+
+  function sendQuiz(container) {
+    const quiz = readQuiz(container);
+    if (!quiz) return;
+
+    const text = quizText(quiz);
+    const hash = textHash(text);
+    if (seenText.has(hash)) return;
+    seenText.add(hash);
+
+    browser.runtime.sendMessage({
+      action: 'captureText',
+      entry: {
+        timestamp: new Date().toISOString(),
+        type: 'quiz',
+        source: 'quiz',
+        frameId: getFrameId(),
+        url: window.location.href,
+        text,
+        ...quiz
+      }
+    }).catch(() => {});
+
+    if (!isTopFrame) {
+      triggerFlashUpward();
+    }
+  }
+
+  // Send every quiz still on the page once answers have settled
+  function scheduleQuizzes() {
+    if (quizTimer || quizzes.size === 0) return;
+    quizTimer = setTimeout(() => {
+      quizTimer = null;
+      if (!isCapturing || isPaused || !isCaptureAllowed()) return;
+      for (const container of quizzes) {
+        if (container.isConnected) {
+          sendQuiz(container);
+        } else {
+          quizzes.delete(container);
+        }
+      }
+    }, QUIZ_SETTLE_MS);
+  }
+
+  // Find questions in (or around) root; their text is then left to sendQuiz
+  function scanQuizzes(root) {
+    if (root.nodeType !== Node.ELEMENT_NODE && root.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) return;
+
+    const options = safeQueryAll(root, QUIZ_OPTION_SELECTOR);
+    if (isQuizOption(root)) options.push(root);
+    for (const option of options) {
+      const container = quizContainerFor(option);
+      if (!container || quizzes.has(container)) continue;
+      if (contentRootsFor(container).length === 0 || isSkippedElement(container)) continue;
+      if (readQuiz(container)) quizzes.add(container);
+    }
+    scheduleQuizzes();
+  }
+
+  function handleQuizInput(event) {
+    if (!isCapturing || isPaused) return;
+    // Submitting may reveal feedback anywhere on the page
+    if (event.type === 'click' || insideQuiz(event.target)) scheduleQuizzes();
+  }
+
+  document.addEventListener('change', handleQuizInput, true);
+  document.addEventListener('click', handleQuizInput, true);
+
+  function resetQuizzes() {
+    clearTimeout(quizTimer);
+    quizTimer = null;
+    quizzes = new Set();
+  }
+
+  // ============================================================
+  // COURSE STRUCTURE
+  // ============================================================
+
+  // The top frame tells background.js which lesson (and module) the tab
+  // is showing; background.js tags entries with it and the exports group
+  // them into chapters. Known course platforms are read from their own
+  // markup, anything else from breadcrumbs, the page's <h1> and its title.
+  const COURSE_PLATFORMS = [
+    {
+      host: /(^|\.)udemy\.com$/,
+      lesson: 'li[aria-current="true"] [data-purpose="item-title"]',
+      module: '[data-purpose^="section-panel"]:has(li[aria-current="true"]) [data-purpose="section-heading"] .ud-accordion-panel-title'
+    },
+    {
+      host: /(^|\.)coursera\.org$/,
+      lesson: 'h1',
+      module: '[data-testid="rc-NavigationDrawerLink"][aria-expanded="true"], .rc-WeekNavigationItem.selected'
+    },
+    {
+      host: /(^|\.)teachable\.com$/,
+      lesson: '#lecture_heading',
+      module: '.course-section:has(.next-lecture) .section-title'
+    },
+    {
+      host: /(^|\.)youtube\.com$/,
+      lesson: 'ytd-watch-metadata h1',
+      module: 'ytd-playlist-panel-renderer #header-description h3 a'
+    }
+  ];
+
+  const BREADCRUMB_SELECTORS = [
+    'nav[aria-label*="breadcrumb" i] li',
+    '.breadcrumb li, .breadcrumbs li',
+    '[itemtype$="BreadcrumbList"] [itemprop="name"]',
+    'nav[aria-label*="breadcrumb" i] a'
+  ];
+
+  let reportedLesson = null;
+
+  function elementText(selector) {
+    try {
+      const element = document.querySelector(selector);
+      return element ? cleanText(element.textContent) : '';
+    } catch (e) {
+      return '';
+    }
+  }
+
+  function breadcrumbs() {
+    for (const selector of BREADCRUMB_SELECTORS) {
+      const crumbs = [...document.querySelectorAll(selector)]
+        .map(element => cleanText(element.textContent))
+        .filter(Boolean);
+      if (crumbs.length > 0) return [...new Set(crumbs)];
+    }
+    return [];
+  }
+
+  function pageTitle() {
+    const title = document.title.startsWith(RECORDING_EMOJI)
+      ? document.title.substring(RECORDING_EMOJI.length)
+      : document.title;
+    return cleanText(title);
+  }
+
+  // { lesson, module } of the page, module null when unknown
+  function lessonInfo() {
+    const platform = COURSE_PLATFORMS.find(candidate => candidate.host.test(window.location.hostname));
+    const crumbs = breadcrumbs();
+
+    const lesson = (platform && elementText(platform.lesson)) ||
+                   elementText('h1') ||
+                   crumbs[crumbs.length - 1] ||
+                   pageTitle();
+    const module = (platform && elementText(platform.module)) ||
+                   crumbs.filter(crumb => crumb !== lesson).pop() ||
+                   null;
+    return { lesson, module };
+  }
+
+  function reportLesson() {
+    if (!isTopFrame || !isCapturing || !document.body) return;
+
+    const info = lessonInfo();
+    if (!info.lesson) return;
+    const key = `${info.module}\n${info.lesson}`;
+    if (key === reportedLesson) return;
+    reportedLesson = key;
+
+    browser.runtime.sendMessage({ action: 'lessonState', ...info }).catch(() => {});
+  }
+
+  // ============================================================
+  // SHADOW DOM
+  // ============================================================
+
+  // Web components render into shadow roots, which neither querySelectorAll
+  // nor an observer on the body reaches. Extraction walks open roots in
+  // place of their host's children (see renderedChildNodes); here they are
+  // found as their hosts appear, observed with the same observer and
+  // scanned for quizzes, media, images and descriptions. A custom element
+  // defined after it was inserted only gets its root on upgrade, so
+  // undefined ones are checked again for a while.
+
+  const SHADOW_RECHECK_MS = 1000;
+  const SHADOW_RECHECK_LIMIT = 30;
+
+  let shadowRoots = new Set();
+  let undefinedHosts = new Map();
+  let shadowRecheckTimer = null;
+
+  // Open shadow roots in (or at) root, including nested ones
+  function findShadowRoots(root) {
+    const found = [];
+    const visit = (node) => {
+      const elements = safeQueryAll(node, '*');
+      if (node.nodeType === Node.ELEMENT_NODE) elements.push(node);
+      for (const element of elements) {
+        if (element.shadowRoot) {
+          found.push(element.shadowRoot);
+          visit(element.shadowRoot);
+        }
+      }
+    };
+    visit(root);
+    return found;
+  }
+
+  // Observe and scan the shadow roots in (or at) root not seen before
+  function attachShadowRoots(root) {
+    if (root.nodeType !== Node.ELEMENT_NODE) return;
+
+    for (const shadowRoot of findShadowRoots(root)) {
+      if (shadowRoots.has(shadowRoot)) continue;
+      shadowRoots.add(shadowRoot);
+      if (observer) observer.observe(shadowRoot, OBSERVER_OPTIONS);
+      scanQuizzes(shadowRoot);
+      scanMedia(shadowRoot);
+      scanForImages(shadowRoot);
+      scanDescriptions(shadowRoot);
+      watchUndefinedHosts(shadowRoot);
+    }
+    watchUndefinedHosts(root);
+  }
+
+  function watchUndefinedHosts(root) {
+    const hosts = safeQueryAll(root, ':not(:defined)');
+    if (root.nodeType === Node.ELEMENT_NODE && safeMatches(root, ':not(:defined)')) hosts.push(root);
+    for (const host of hosts) {
+      if (!host.shadowRoot && !undefinedHosts.has(host)) undefinedHosts.set(host, 0);
+    }
+    if (undefinedHosts.size > 0 && !shadowRecheckTimer) {
+      shadowRecheckTimer = setTimeout(recheckUndefinedHosts, SHADOW_RECHECK_MS);
+    }
+  }
+
+  // Capture the content of elements upgraded since the last check
+  function recheckUndefinedHosts() {
+    shadowRecheckTimer = null;
+    if (!observer) return;
+
+    for (const [host, checks] of [...undefinedHosts]) {
+      if (host.shadowRoot) {
+        undefinedHosts.delete(host);
+        attachShadowRoots(host);
+        for (const root of contentRootsFor(host)) {
+          const { text, blocks } = extractContent(root);
+          if (text) {
+            processText(text, 'added', blocks);
+          }
+        }
+      } else if (!host.isConnected || safeMatches(host, ':defined') || checks >= SHADOW_RECHECK_LIMIT) {
+        undefinedHosts.delete(host);
+      } else {
+        undefinedHosts.set(host, checks + 1);
+      }
+    }
+
+    if (undefinedHosts.size > 0 && !shadowRecheckTimer) {
+      shadowRecheckTimer = setTimeout(recheckUndefinedHosts, SHADOW_RECHECK_MS);
+    }
+  }
+
+  function resetShadowRoots() {
+    clearTimeout(shadowRecheckTimer);
+    shadowRecheckTimer = null;
+    shadowRoots = new Set();
+    undefinedHosts = new Map();
+  }
+
+  // ============================================================
+  // MUTATION OBSERVER
+  // ============================================================
+
+  function captureInitialContent() {
+    // Report the lesson first so the page's entries are tagged with it
+    reportLesson();
+    if (document.body) {
+      attachShadowRoots(document.body);
+      scanQuizzes(document.body);
+      for (const root of contentRootsFor(document.body)) {
+        const { text, blocks } = extractContent(root);
+        if (text) {
+          processText(text, 'initial', blocks);
+        }
+        scanDescriptions(root);
+      }
+      scanMedia(document.body);
+      queuePdfPages(document.body);
+    }
+  }
+
+  function processPendingMutations() {
+    processingScheduled = false;
+    
+    if (pendingMutations.length === 0) return;
+    
+    const mutations = pendingMutations;
+    pendingMutations = [];
+
+    // A single-page app may have moved on to the next lesson
+    reportLesson();
+
+    // Blocked by a site rule - drop the batch (the URL may change in SPAs,
+    // so the observer itself keeps running)
+    if (!isCaptureAllowed()) return;
+
+    // Feedback may have appeared next to a question
+    scheduleQuizzes();
+    
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          attachShadowRoots(node);
+          scanQuizzes(node);
+          queuePdfPages(node);
+          for (const root of contentRootsFor(node)) {
+            const { text, blocks } = extractContent(root);
+            if (text) {
+              processText(text, 'added', blocks);
+            }
+            scanDescriptions(root);
+          }
+          scanMedia(node);
+          
+          // Scan for images in added elements
+          scanForImages(node);
+        } else if (node.nodeType === Node.TEXT_NODE) {
+          queuePdfPages(node);
+          const text = node.textContent;
+          if (text && contentRootsFor(node).length > 0) {
+            processText(text, 'text-node');
+          }
+        }
+      }
+      
+      if (mutation.type === 'characterData' && mutation.target) {
+        const text = mutation.target.textContent;
+        if (text && contentRootsFor(mutation.target).length > 0) {
+          processText(text, 'modified');
+        }
+      }
+    }
+  }
+
+  function startObserver() {
+    // Settings and site rules must be known before the first extraction
+    configReady.then(() => {
+      if (!isCapturing || isPaused || observer || bodyWaiter) return;
+
+      if (!document.body) {
+        bodyWaiter = new MutationObserver(() => {
+          if (document.body) {
+            bodyWaiter.disconnect();
+            bodyWaiter = null;
+            captureInitialContent();
+            startObserverOnBody();
+          }
+        });
+        bodyWaiter.observe(document.documentElement, { childList: true });
+        return;
+      }
+      
+      captureInitialContent();
+      startObserverOnBody();
+    });
+  }
+
+  const OBSERVER_OPTIONS = {
+    childList: true,
+    subtree: true,
+    characterData: true
+  };
+
+  function startObserverOnBody() {
+    observer = new MutationObserver((mutations) => {
+      pendingMutations.push(...mutations);
+      
+      if (!processingScheduled) {
+        processingScheduled = true;
+        setTimeout(processPendingMutations, settings.throttleMs);
+      }
     });
+
+    observer.observe(document.body, OBSERVER_OPTIONS);
+    // Roots found by captureInitialContent, before there was an observer
+    for (const shadowRoot of shadowRoots) {
+      observer.observe(shadowRoot, OBSERVER_OPTIONS);
+    }
   }
 
   function stopObserver() {
@@ -706,18 +2209,27 @@
       observer.disconnect();
       observer = null;
     }
+    if (bodyWaiter) {
+      bodyWaiter.disconnect();
+      bodyWaiter = null;
+    }
     pendingMutations = [];
     processingScheduled = false;
+    // A new observer has to find and observe them again
+    resetShadowRoots();
   }
 
   // ============================================================
   // START / STOP CAPTURE
   // ============================================================
 
-  function startCapture(startTimeISO, initialCount = 0) {
+  function startCapture(startTimeISO, initialCount = 0, paused = false, initialPausedMs = 0) {
     if (isCapturing) return;
     
     isCapturing = true;
+    isPaused = paused;
+    pausedMs = initialPausedMs;
+    pausedAt = Date.now();
     startTime = startTimeISO ? new Date(startTimeISO) : new Date();
     entryCount = initialCount;
     seenText.clear();
@@ -726,27 +2238,65 @@
       createIndicator();
       setRecordingTitle();
       startTitleObserver();
-      scanForImages();
     }
+    autoSavedUrls.clear();
+    // Settings decide whether images are auto-saved
+    configReady.then(() => scanForImages());
+    
+    if (!isPaused) {
+      startObserver();
+    }
+    console.log(`[ACC][${getFrameId()}] Capture started${isPaused ? ' (paused)' : ''}`);
+  }
+
+  function pauseCapture(totalPausedMs) {
+    if (!isCapturing || isPaused) return;
+    
+    isPaused = true;
+    pausedMs = totalPausedMs;
+    pausedAt = Date.now();
+    updateTimer();
+    stopObserver();
+    updatePausedIndicator();
+    console.log(`[ACC][${getFrameId()}] Capture paused`);
+  }
+
+  function unpauseCapture(totalPausedMs) {
+    if (!isCapturing || !isPaused) return;
+    
+    isPaused = false;
+    pausedMs = totalPausedMs;
+    updatePausedIndicator();
+    updateTimer();
     
+    // Pick up whatever is on the page now, then keep watching
     startObserver();
-    console.log(`[ACC][${getFrameId()}] Capture started`);
+    configReady.then(() => scanForImages());
+    console.log(`[ACC][${getFrameId()}] Capture unpaused`);
   }
 
   function stopCapture() {
     if (!isCapturing) return;
     
     isCapturing = false;
+    isPaused = false;
+    pausedMs = 0;
     stopObserver();
+    restoreCaptionTracks();
+
+    removeAllImageDots();
+    autoSavedUrls.clear();
 
     if (isTopFrame) {
       removeIndicator();
-      removeAllImageDots();
       stopTitleObserver();
       restoreTitle();
     }
     
     seenText.clear();
+    resetQuizzes();
+    resetPdfPages();
+    reportedLesson = null;
     console.log(`[ACC][${getFrameId()}] Capture stopped`);
   }
 
@@ -757,11 +2307,23 @@
   // Listen for messages from background script
   browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'start') {
-      startCapture(message.startTime, message.entryCount || 0);
+      startCapture(message.startTime, message.entryCount || 0, message.paused, message.pausedMs || 0);
+    } else if (message.action === 'pause') {
+      pauseCapture(message.pausedMs || 0);
+    } else if (message.action === 'unpause') {
+      unpauseCapture(message.pausedMs || 0);
     } else if (message.action === 'stop') {
       stopCapture();
     } else if (message.action === 'updateCount') {
       updateCount(message.count);
+    } else if (message.action === 'getSelection') {
+      // Only the frame holding the selection answers
+      const text = isCapturing ? selectedText() : '';
+      if (text) {
+        sendResponse({ text: text, frameId: getFrameId(), url: window.location.href });
+      }
+    } else if (message.action === 'openNote') {
+      if (isTopFrame && isCapturing) openNoteBox();
     } else if (message.action === 'autoStopped') {
       stopCapture();
       if (isTopFrame) {
@@ -790,7 +2352,7 @@
     browser.runtime.sendMessage({ action: 'getState' }).then((state) => {
       if (state && state.isCapturing && !isCapturing) {
         console.log(`[ACC] Resuming capture after navigation (attempt ${attempt})`);
-        startCapture(state.startTime, state.entryCount);
+        startCapture(state.startTime, state.entryCount, state.paused, state.pausedMs || 0);
       }
     }).catch(() => {
       // Background script not ready, retry
@@ -0,0 +1,29 @@
+/*
+ * Copyright (C) 2025 Adrian Brozek
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * By using this AddOn, you commit to being a generally pleasant human being.
+
+ */
+
+// How an entry reads in a list of entries, shared by the library and
+// review pages so both show the same thing
+
+function entryText(entry) {
+  if (entry.type === 'image') return `Image saved: ${entry.filename}`;
+  if (entry.type === 'screenshot') return `Screenshot saved: ${entry.filename}`;
+  if (entry.type === 'highlight') return `★ ${entry.text}`;
+  if (entry.type === 'note') return `✎ ${entry.text}`;
+  return entry.text;
+}
@@ -0,0 +1,218 @@
+/*
+ * Copyright (C) 2025 Adrian Brozek
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * By using this AddOn, you commit to being a generally pleasant human being.
+
+ */
+
+// Library page script - lists past sessions kept by background.js and
+// lets the user view, re-export, rename and delete them
+
+const sessionList = document.getElementById('sessionList');
+const viewer = document.getElementById('viewer');
+
+// How many visited URLs to list before summarising the rest
+const MAX_LISTED_URLS = 3;
+
+let formats = [];
+let selectedId = null;
+
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  if (hours > 0) return `${hours}h ${mins}m`;
+  if (mins > 0) return `${mins}m ${secs}s`;
+  return `${secs}s`;
+}
+
+function createButton(label, onClick, className = '') {
+  const button = document.createElement('button');
+  button.textContent = label;
+  if (className) button.className = className;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Load the library from background.js and redraw the list, above it
+// `problem` if the last change to it failed
+async function loadSessions(problem = null) {
+  const response = await browser.runtime.sendMessage({ action: 'listSessions' });
+  formats = response.formats;
+  renderSessions(response.sessions, response.error ? `The library could not be loaded: ${response.error}` : problem);
+}
+
+function renderSessions(sessions, problem) {
+  sessionList.textContent = '';
+
+  if (problem) {
+    const notice = document.createElement('div');
+    notice.className = 'empty';
+    notice.textContent = problem;
+    sessionList.appendChild(notice);
+  }
+
+  if (sessions.length === 0) {
+    if (problem) return;
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = 'No saved sessions yet. Finished recordings appear here.';
+    sessionList.appendChild(empty);
+    return;
+  }
+
+  for (const session of sessions) {
+    sessionList.appendChild(renderSession(session));
+  }
+}
+
+function renderSession(session) {
+  const item = document.createElement('div');
+  item.className = 'session' + (session.id === selectedId ? ' selected' : '');
+
+  const name = document.createElement('div');
+  name.className = 'session-name';
+  name.textContent = session.name;
+
+  const meta = document.createElement('div');
+  meta.className = 'session-meta';
+  meta.textContent = [
+    new Date(session.startTime).toLocaleString(),
+    formatDuration(session.durationSeconds),
+    `${session.entryCount} entries`,
+    `${(session.size / 1024).toFixed(1)} KB`
+  ].join(' · ');
+
+  const urls = document.createElement('div');
+  urls.className = 'session-urls';
+  const listed = session.urls.slice(0, MAX_LISTED_URLS).join('\n');
+  const more = session.urls.length - MAX_LISTED_URLS;
+  urls.textContent = more > 0 ? `${listed}\n+${more} more` : listed;
+  urls.style.whiteSpace = 'pre-line';
+
+  const formatSelect = document.createElement('select');
+  for (const format of formats) {
+    const option = document.createElement('option');
+    option.value = format.id;
+    option.textContent = format.label;
+    formatSelect.appendChild(option);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'session-actions';
+  actions.append(
+    createButton('View', () => viewSession(session.id)),
+    createButton('Review', () => {
+      browser.tabs.create({ url: browser.runtime.getURL(`review.html?id=${encodeURIComponent(session.id)}`) });
+    }),
+    formatSelect,
+    createButton('Export', () => {
+      browser.runtime.sendMessage({ action: 'exportSession', id: session.id, format: formatSelect.value });
+    }),
+    createButton('Summary', () => {
+      browser.runtime.sendMessage({ action: 'exportSession', id: session.id, format: formatSelect.value, summary: true });
+    }),
+    createButton('Rename', () => startRename(session, name)),
+    createButton('Delete', () => deleteSession(session), 'danger')
+  );
+
+  item.append(name, meta, urls, actions);
+  return item;
+}
+
+// Swap the name for an input; Enter saves, Escape cancels
+function startRename(session, nameEl) {
+  const input = document.createElement('input');
+  input.value = session.name;
+  nameEl.textContent = '';
+  nameEl.appendChild(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = async (save) => {
+    if (done) return;
+    done = true;
+    const newName = input.value.trim();
+    let problem = null;
+    if (save && newName && newName !== session.name) {
+      const response = await browser.runtime.sendMessage({ action: 'renameSession', id: session.id, name: newName });
+      if (!response || !response.ok) {
+        problem = `Could not rename "${session.name}": ${(response && response.error) || 'no reply'}`;
+      }
+    }
+    loadSessions(problem);
+  };
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+async function deleteSession(session) {
+  if (!confirm(`Delete "${session.name}"? This cannot be undone.`)) return;
+
+  const response = await browser.runtime.sendMessage({ action: 'deleteSession', id: session.id });
+  if (!response || !response.ok) {
+    loadSessions(`Could not delete "${session.name}": ${(response && response.error) || 'no reply'}`);
+    return;
+  }
+  if (selectedId === session.id) {
+    selectedId = null;
+    viewer.textContent = '';
+  }
+  loadSessions();
+}
+
+// entryText() comes from entry-text.js
+
+// Show every entry of a session, laid out like the plain text export
+async function viewSession(id) {
+  const response = await browser.runtime.sendMessage({ action: 'getSession', id: id });
+  if (!response || response.error) return;
+
+  selectedId = id;
+  loadSessions();
+
+  const { summary, entries } = response;
+  const startTime = new Date(summary.startTime);
+  viewer.textContent = '';
+
+  const title = document.createElement('h2');
+  title.textContent = summary.name;
+  viewer.appendChild(title);
+
+  entries.forEach((entry, i) => {
+    const timeOffset = Math.round((new Date(entry.timestamp) - startTime) / 1000);
+
+    const item = document.createElement('div');
+    item.className = 'entry';
+
+    const meta = document.createElement('div');
+    meta.className = 'entry-meta';
+    meta.textContent = `[${String(i + 1).padStart(3, '0')}] +${timeOffset}s | ${entry.frameId} | ${entry.url}`;
+
+    const text = document.createElement('div');
+    text.className = 'entry-text';
+    text.textContent = entryText(entry);
+
+    item.append(meta, text);
+    viewer.appendChild(item);
+  });
+}
+
+loadSessions();
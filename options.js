@@ -0,0 +1,259 @@
+/*
+ * Copyright (C) 2025 Adrian Brozek
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * By using this AddOn, you commit to being a generally pleasant human being.
+
+ */
+
+// Options page script - edits the settings stored in storage.local.
+// Content scripts and background.js pick changes up via storage.onChanged.
+
+const rulesBody = document.getElementById('rulesBody');
+const addRuleBtn = document.getElementById('addRuleBtn');
+const saveRulesBtn = document.getElementById('saveRulesBtn');
+const rulesStatus = document.getElementById('rulesStatus');
+
+// Briefly confirm a save next to its button
+function showStatus(element, text) {
+  element.textContent = text;
+  setTimeout(() => {
+    element.textContent = '';
+  }, 2000);
+}
+
+// ============================================================
+// SETTINGS
+// ============================================================
+
+// Inputs marked with data-setting="<name>" edit settings.<name> and save
+// as soon as they change
+const settingInputs = document.querySelectorAll('[data-setting]');
+
+function readInput(input) {
+  if (input.type === 'checkbox') return input.checked;
+  if (input.type === 'number') return Number(input.value);
+  return input.value;
+}
+
+function writeInput(input, value) {
+  if (value === undefined) return;
+  if (input.type === 'checkbox') {
+    input.checked = Boolean(value);
+  } else {
+    input.value = value;
+  }
+}
+
+async function saveSetting(name, value) {
+  const stored = await browser.storage.local.get('settings');
+  const settings = { ...stored.settings, [name]: value };
+  await browser.storage.local.set({ settings });
+}
+
+browser.storage.local.get('settings').then((stored) => {
+  const settings = stored.settings || {};
+  for (const input of settingInputs) {
+    writeInput(input, settings[input.dataset.setting]);
+  }
+});
+
+for (const input of settingInputs) {
+  input.addEventListener('change', () => {
+    if (!input.checkValidity()) return;
+    saveSetting(input.dataset.setting, readInput(input));
+  });
+}
+
+// ============================================================
+// NOISE FILTERS
+// ============================================================
+
+const noisePatternsInput = document.getElementById('noisePatterns');
+const saveNoiseBtn = document.getElementById('saveNoiseBtn');
+const noiseStatus = document.getElementById('noiseStatus');
+const noiseSample = document.getElementById('noiseSample');
+const testNoiseBtn = document.getElementById('testNoiseBtn');
+const noiseResult = document.getElementById('noiseResult');
+
+function readNoisePatterns() {
+  return noisePatternsInput.value.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// Compile patterns the way the content script does, reporting the first
+// one that is not a valid regular expression
+function compileNoisePatterns(sources) {
+  const patterns = [];
+  for (const source of sources) {
+    try {
+      patterns.push(new RegExp(source, 'i'));
+    } catch (e) {
+      return { invalid: source };
+    }
+  }
+  return { patterns };
+}
+
+saveNoiseBtn.addEventListener('click', async () => {
+  const sources = readNoisePatterns();
+  const { invalid } = compileNoisePatterns(sources);
+  if (invalid) {
+    noiseStatus.style.color = '#e74c3c';
+    showStatus(noiseStatus, `Invalid regular expression: ${invalid}`);
+    return;
+  }
+
+  await saveSetting('noisePatterns', sources);
+  noiseStatus.style.color = '';
+  showStatus(noiseStatus, 'Saved');
+});
+
+// Captured text has its whitespace collapsed before filtering
+testNoiseBtn.addEventListener('click', () => {
+  const sources = readNoisePatterns();
+  const { patterns, invalid } = compileNoisePatterns(sources);
+  if (invalid) {
+    noiseResult.style.color = '#e74c3c';
+    noiseResult.textContent = `Invalid regular expression: ${invalid}`;
+    return;
+  }
+
+  const sample = noiseSample.value.replace(/\s+/g, ' ').trim();
+  const matched = sources.filter((source, i) => patterns[i].test(sample));
+  noiseResult.style.color = matched.length > 0 ? '#e74c3c' : '';
+  noiseResult.textContent = matched.length > 0
+    ? `Dropped, matches: ${matched.join('  ')}`
+    : 'Kept: no filter here matches (the built-in filters may still drop it)';
+});
+
+browser.storage.local.get('settings').then((stored) => {
+  noisePatternsInput.value = ((stored.settings || {}).noisePatterns || []).join('\n');
+});
+
+// ============================================================
+// SITE RULES
+// ============================================================
+
+function createTextCell(value, placeholder) {
+  const cell = document.createElement('td');
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = value || '';
+  input.placeholder = placeholder;
+  cell.appendChild(input);
+  return cell;
+}
+
+// One regular expression per line
+function createSkipTextCell(patterns) {
+  const cell = document.createElement('td');
+  const textarea = document.createElement('textarea');
+  textarea.rows = Math.min(Math.max((patterns || []).length, 1), 6);
+  textarea.value = (patterns || []).join('\n');
+  textarea.placeholder = '^Skip to main content$';
+  cell.appendChild(textarea);
+  return cell;
+}
+
+function addRuleRow(rule = { pattern: '', allow: true, include: '', exclude: '', skipText: [] }) {
+  const row = document.createElement('tr');
+
+  const allowCell = document.createElement('td');
+  const allow = document.createElement('input');
+  allow.type = 'checkbox';
+  allow.checked = rule.allow !== false;
+  allowCell.appendChild(allow);
+
+  const removeCell = document.createElement('td');
+  const remove = document.createElement('button');
+  remove.className = 'danger';
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', () => row.remove());
+  removeCell.appendChild(remove);
+
+  row.append(
+    createTextCell(rule.pattern, 'example.com'),
+    allowCell,
+    createTextCell(rule.include, 'main, article'),
+    createTextCell(rule.exclude, 'nav, footer'),
+    createSkipTextCell(rule.skipText),
+    removeCell
+  );
+  rulesBody.appendChild(row);
+}
+
+function readRules() {
+  return [...rulesBody.querySelectorAll('tr')].map((row) => {
+    const [pattern, include, exclude] = [...row.querySelectorAll('input[type="text"]')].map(input => input.value.trim());
+    const allow = row.querySelector('input[type="checkbox"]').checked;
+    const skipText = row.querySelector('textarea').value.split('\n').map(line => line.trim()).filter(Boolean);
+    return { pattern, allow, include, exclude, skipText };
+  }).filter(rule => rule.pattern);
+}
+
+// A selector the browser cannot parse would silently match nothing
+function findInvalidSelector(rules) {
+  for (const rule of rules) {
+    for (const selector of [rule.include, rule.exclude]) {
+      if (!selector) continue;
+      try {
+        document.querySelector(selector);
+      } catch (e) {
+        return selector;
+      }
+    }
+  }
+  return null;
+}
+
+function findInvalidPattern(rules) {
+  for (const rule of rules) {
+    for (const source of rule.skipText) {
+      try {
+        new RegExp(source);
+      } catch (e) {
+        return source;
+      }
+    }
+  }
+  return null;
+}
+
+addRuleBtn.addEventListener('click', () => addRuleRow());
+
+saveRulesBtn.addEventListener('click', async () => {
+  const siteRules = readRules();
+  const invalid = findInvalidSelector(siteRules);
+  if (invalid) {
+    rulesStatus.style.color = '#e74c3c';
+    showStatus(rulesStatus, `Invalid selector: ${invalid}`);
+    return;
+  }
+  const invalidPattern = findInvalidPattern(siteRules);
+  if (invalidPattern) {
+    rulesStatus.style.color = '#e74c3c';
+    showStatus(rulesStatus, `Invalid regular expression: ${invalidPattern}`);
+    return;
+  }
+
+  await browser.storage.local.set({ siteRules });
+  rulesStatus.style.color = '';
+  showStatus(rulesStatus, 'Saved');
+});
+
+browser.storage.local.get('siteRules').then((stored) => {
+  for (const rule of stored.siteRules || []) {
+    addRuleRow(rule);
+  }
+});
@@ -22,27 +22,73 @@
 const recordBtn = document.getElementById('recordBtn');
 const recordText = document.getElementById('recordText');
 const keybindText = document.getElementById('keybindText');
+const recoveryPanel = document.getElementById('recoveryPanel');
+const recoveryInfo = document.getElementById('recoveryInfo');
+const resumeBtn = document.getElementById('resumeBtn');
+const exportBtn = document.getElementById('exportBtn');
+const formatSelect = document.getElementById('formatSelect');
+const zipCheckbox = document.getElementById('zipCheckbox');
+const pauseBtn = document.getElementById('pauseBtn');
+const pauseText = document.getElementById('pauseText');
+const tabBtn = document.getElementById('tabBtn');
+const tabText = document.getElementById('tabText');
+const followTabsCheckbox = document.getElementById('followTabsCheckbox');
+const groupByTabCheckbox = document.getElementById('groupByTabCheckbox');
+const reviewCheckbox = document.getElementById('reviewCheckbox');
+const summaryBtn = document.getElementById('summaryBtn');
+const libraryBtn = document.getElementById('libraryBtn');
+const searchBtn = document.getElementById('searchBtn');
+const settingsBtn = document.getElementById('settingsBtn');
+const dashboardPanel = document.getElementById('dashboardPanel');
+const statElapsed = document.getElementById('statElapsed');
+const statEntries = document.getElementById('statEntries');
+const statSize = document.getElementById('statSize');
+const statSizeLimit = document.getElementById('statSizeLimit');
+const sizeFill = document.getElementById('sizeFill');
+const breakdownList = document.getElementById('breakdownList');
+const recentList = document.getElementById('recentList');
+
+// Tab the popup was opened over, and whether it is part of the session
+let currentTab = null;
+let currentTabCaptured = false;
+
+// Latest dashboard snapshot from background.js; the elapsed time ticks locally
+let dashboard = null;
+let elapsedTimer = null;
 
 // Detect platform and update keybind display
 const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
 keybindText.textContent = isMac ? 'Cmd+Shift+L' : 'Ctrl+Shift+L';
 
 // Check current capture state on popup open
-browser.runtime.sendMessage({ action: "getState" }).then((state) => {
-  updateUI(state.isCapturing);
+browser.tabs.query({ active: true, currentWindow: true }).then((tabs) => {
+  currentTab = tabs[0] || null;
+  return browser.runtime.sendMessage({ action: "getState" });
+}).then((state) => {
+  updateUI(state);
+  showDashboard(state.dashboard);
+  showRecovery(state.interruptedSession);
+  showFormats(state.formats, state.exportFormat);
+  zipCheckbox.checked = state.bundleZip;
+  followTabsCheckbox.checked = state.followOpenedTabs;
+  groupByTabCheckbox.checked = state.groupByTab;
+  reviewCheckbox.checked = state.reviewBeforeSave;
 }).catch(() => {
-  updateUI(false);
+  updateUI({ isCapturing: false });
 });
 
 // Listen for state changes from background script
 browser.runtime.onMessage.addListener((message) => {
   if (message.action === "stateChanged") {
-    updateUI(message.isCapturing);
+    updateUI(message);
+    if (!message.isCapturing) showDashboard(null);
+  } else if (message.action === "dashboard") {
+    showDashboard(message);
   }
 });
 
 // Update UI based on capture state
-function updateUI(isCapturing) {
+function updateUI({ isCapturing, isPaused = false, tabIds = [] }) {
   if (isCapturing) {
     recordBtn.classList.add('recording');
     recordText.textContent = 'Stop Recording';
@@ -50,8 +96,195 @@ function updateUI(isCapturing) {
     recordBtn.classList.remove('recording');
     recordText.textContent = 'Start Recording';
   }
+  pauseBtn.hidden = !isCapturing;
+  summaryBtn.hidden = !isCapturing;
+  pauseText.textContent = isPaused ? 'Resume' : 'Pause';
+
+  // Offer to add this tab, or to drop it if other tabs remain in the session
+  currentTabCaptured = Boolean(currentTab) && tabIds.includes(currentTab.id);
+  tabBtn.hidden = !isCapturing || !currentTab || (currentTabCaptured && tabIds.length < 2);
+  tabText.textContent = currentTabCaptured ? 'Remove this tab' : 'Add this tab';
+}
+
+function formatElapsed(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const mins = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${mins}:${secs}` : `${mins}:${secs}`;
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024).toFixed(0)} KB`;
+}
+
+// Recording time so far, without pauses
+function updateElapsed() {
+  if (!dashboard || dashboard.isPaused) return;
+  statElapsed.textContent = formatElapsed(Date.now() - new Date(dashboard.startTime) - dashboard.pausedMs);
+}
+
+// Live stats while recording; null hides them
+function showDashboard(stats) {
+  dashboard = stats;
+  dashboardPanel.hidden = !stats;
+  document.body.classList.toggle('recording', Boolean(stats));
+  clearInterval(elapsedTimer);
+  if (!stats) return;
+
+  // pausedMs counts an open pause up to now, so this also holds while paused
+  statElapsed.textContent = formatElapsed(Date.now() - new Date(stats.startTime) - stats.pausedMs);
+  elapsedTimer = setInterval(updateElapsed, 1000);
+
+  statEntries.textContent = stats.entryCount;
+  statSize.textContent = formatSize(stats.size);
+  // With part files the size and limit are the running part's
+  statSizeLimit.textContent = stats.part > 1
+    ? `of ${formatSize(stats.maxSize)} · part ${stats.part}`
+    : `of ${formatSize(stats.maxSize)}`;
+  const used = Math.min(1, stats.size / stats.maxSize);
+  sizeFill.style.width = `${(used * 100).toFixed(1)}%`;
+  sizeFill.classList.toggle('warning', used > 0.8);
+
+  breakdownList.textContent = '';
+  for (const item of stats.breakdown) {
+    const row = document.createElement('div');
+    row.className = 'breakdown-row';
+    row.title = item.url;
+
+    const url = document.createElement('span');
+    url.className = 'breakdown-url';
+    url.textContent = item.frameId === 'main' ? item.url : `${item.url} (${item.frameId})`;
+
+    const count = document.createElement('span');
+    count.textContent = item.count;
+
+    row.append(url, count);
+    breakdownList.appendChild(row);
+  }
+
+  recentList.textContent = '';
+  for (const entry of stats.recent) {
+    const item = document.createElement('div');
+    item.className = 'recent-entry';
+
+    const meta = document.createElement('div');
+    meta.className = 'recent-meta';
+    const type = entry.type === 'text' ? '' : ` · ${entry.type}`;
+    meta.textContent = `#${entry.id} · ${new Date(entry.timestamp).toLocaleTimeString()}${type}`;
+
+    const text = document.createElement('div');
+    text.className = 'recent-text';
+    text.textContent = entry.text;
+
+    item.append(meta, text);
+    recentList.appendChild(item);
+  }
+}
+
+tabBtn.addEventListener('click', () => {
+  browser.runtime.sendMessage({
+    action: currentTabCaptured ? "removeTab" : "addTab",
+    tabId: currentTab.id,
+    title: currentTab.title
+  });
+});
+
+pauseBtn.addEventListener('click', () => {
+  browser.runtime.sendMessage({ action: "togglePause" });
+});
+
+// Save just the highlights and notes taken so far, in the selected format
+summaryBtn.addEventListener('click', () => {
+  browser.runtime.sendMessage({ action: "exportSummary", format: formatSelect.value });
+});
+
+// Fill the export format dropdown from the formats background.js supports
+function showFormats(formats, selected) {
+  formatSelect.textContent = '';
+  for (const format of formats || []) {
+    const option = document.createElement('option');
+    option.value = format.id;
+    option.textContent = format.label;
+    option.selected = format.id === selected;
+    formatSelect.appendChild(option);
+  }
+}
+
+// Merge a change into the stored settings; background.js picks it up
+async function saveSetting(name, value) {
+  const stored = await browser.storage.local.get('settings');
+  const settings = { ...stored.settings, [name]: value };
+  await browser.storage.local.set({ settings });
+}
+
+formatSelect.addEventListener('change', () => {
+  saveSetting('exportFormat', formatSelect.value);
+});
+
+zipCheckbox.addEventListener('change', () => {
+  saveSetting('bundleZip', zipCheckbox.checked);
+});
+
+followTabsCheckbox.addEventListener('change', () => {
+  saveSetting('followOpenedTabs', followTabsCheckbox.checked);
+});
+
+groupByTabCheckbox.addEventListener('change', () => {
+  saveSetting('groupByTab', groupByTabCheckbox.checked);
+});
+
+reviewCheckbox.addEventListener('change', () => {
+  saveSetting('reviewBeforeSave', reviewCheckbox.checked);
+});
+
+// Offer to resume or save a session interrupted by a crash or restart
+function showRecovery(session) {
+  if (!session) {
+    recoveryPanel.hidden = true;
+    return;
+  }
+  const started = new Date(session.startTime).toLocaleString();
+  recoveryInfo.textContent = `${started} · ${session.entryCount} entries`;
+  recoveryPanel.hidden = false;
 }
 
+resumeBtn.addEventListener('click', async () => {
+  try {
+    const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+
+    if (tabs[0]) {
+      browser.runtime.sendMessage({
+        action: "resumeSession",
+        tabId: tabs[0].id
+      });
+    }
+  } finally {
+    window.close();
+  }
+});
+
+exportBtn.addEventListener('click', () => {
+  browser.runtime.sendMessage({ action: "exportInterrupted" });
+  window.close();
+});
+
+libraryBtn.addEventListener('click', () => {
+  browser.tabs.create({ url: browser.runtime.getURL('library.html') });
+  window.close();
+});
+
+searchBtn.addEventListener('click', () => {
+  browser.tabs.create({ url: browser.runtime.getURL('search.html') });
+  window.close();
+});
+
+settingsBtn.addEventListener('click', () => {
+  browser.runtime.openOptionsPage();
+  window.close();
+});
+
 // Handle record button click
 recordBtn.addEventListener('click', async () => {
   try {
@@ -0,0 +1,367 @@
+/*
+ * Copyright (C) 2025 Adrian Brozek
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * By using this AddOn, you commit to being a generally pleasant human being.
+
+ */
+
+// Review page script - opened when a capture stops (with "Review entries
+// before saving" on) or from the library. Edits a library session's
+// entries, then exports it; deleted entries can teach a per-site filter.
+
+const sessionName = document.getElementById('sessionName');
+const statusText = document.getElementById('status');
+const saveBtn = document.getElementById('saveBtn');
+const discardBtn = document.getElementById('discardBtn');
+const formatSelect = document.getElementById('formatSelect');
+const exportBtn = document.getElementById('exportBtn');
+const entryList = document.getElementById('entryList');
+const deletedPanel = document.getElementById('deletedPanel');
+const deletedList = document.getElementById('deletedList');
+
+const sessionId = new URLSearchParams(window.location.search).get('id');
+
+let summary = null;
+let entries = [];
+let deleted = [];
+let dirty = false;
+
+function createButton(label, onClick, className = '') {
+  const button = document.createElement('button');
+  button.textContent = label;
+  if (className) button.className = className;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// entryText() comes from entry-text.js
+
+// Images and screenshots have a file name for text, and a quiz's text is
+// generated from its question and options; only text can change
+function isTextEntry(entry) {
+  return !entry.imageId && entry.type !== 'quiz';
+}
+
+function entryMeta(entry, i) {
+  const timeOffset = Math.round((new Date(entry.timestamp) - new Date(summary.startTime)) / 1000);
+  return [
+    `[${String(i + 1).padStart(3, '0')}] +${timeOffset}s`,
+    entry.frameId,
+    entry.type || entry.source,
+    entry.url
+  ].join(' | ');
+}
+
+function setDirty(value) {
+  dirty = value;
+  saveBtn.disabled = !dirty;
+  discardBtn.disabled = !dirty;
+  statusText.className = 'status' + (dirty ? ' dirty' : '');
+  statusText.textContent = `${entries.length} entries` + (dirty ? ' · unsaved changes' : '');
+}
+
+// Something changed the list: redraw it and mark the session unsaved
+function changed() {
+  setDirty(true);
+  render();
+}
+
+// ============================================================
+// LOADING AND SAVING
+// ============================================================
+
+async function loadSession() {
+  const [response, library] = await Promise.all([
+    browser.runtime.sendMessage({ action: 'getSession', id: sessionId }),
+    browser.runtime.sendMessage({ action: 'listSessions' })
+  ]);
+
+  formatSelect.textContent = '';
+  for (const format of library.formats) {
+    const option = document.createElement('option');
+    option.value = format.id;
+    option.textContent = format.label;
+    formatSelect.appendChild(option);
+  }
+  const stored = await browser.storage.local.get('settings');
+  if (stored.settings && stored.settings.exportFormat) {
+    formatSelect.value = stored.settings.exportFormat;
+  }
+
+  if (!response || response.error) {
+    summary = null;
+    entries = [];
+    sessionName.textContent = response ? 'Session could not be loaded' : 'Session not found';
+    exportBtn.disabled = true;
+  } else {
+    summary = response.summary;
+    entries = response.entries;
+    sessionName.textContent = summary.name;
+  }
+  deleted = [];
+  setDirty(false);
+  render();
+}
+
+// Resolves to whether the library now holds the edits; on failure the
+// page stays unsaved and says why
+async function saveChanges() {
+  const response = await browser.runtime.sendMessage({ action: 'updateSession', id: sessionId, entries: entries });
+  if (!response || !response.ok) {
+    setDirty(true);
+    statusText.textContent = `Could not save: ${(response && response.error) || 'the session is no longer in the library'}`;
+    return false;
+  }
+  if (entries.length === 0) {
+    // Deleting every entry deletes the session
+    summary = null;
+    sessionName.textContent = 'Session deleted';
+    exportBtn.disabled = true;
+    setDirty(false);
+    render();
+    return true;
+  }
+  setDirty(false);
+  return true;
+}
+
+saveBtn.addEventListener('click', () => saveChanges());
+
+discardBtn.addEventListener('click', () => {
+  if (confirm('Discard all changes since the last save?')) loadSession();
+});
+
+exportBtn.addEventListener('click', async () => {
+  if (dirty && !(await saveChanges())) return;
+  if (!summary) return;
+  browser.runtime.sendMessage({ action: 'exportSession', id: sessionId, format: formatSelect.value });
+});
+
+window.addEventListener('beforeunload', (e) => {
+  if (dirty) e.preventDefault();
+});
+
+// ============================================================
+// EDITING
+// ============================================================
+
+function moveEntry(i, offset) {
+  const [entry] = entries.splice(i, 1);
+  entries.splice(i + offset, 0, entry);
+  changed();
+}
+
+function deleteEntry(i) {
+  const [entry] = entries.splice(i, 1);
+  deleted.push({ entry, index: i });
+  changed();
+}
+
+function restoreEntry(item) {
+  deleted = deleted.filter(candidate => candidate !== item);
+  entries.splice(Math.min(item.index, entries.length), 0, item.entry);
+  changed();
+}
+
+// Structured entries keep their blocks; a plain one becomes a paragraph
+function entryBlocks(entry) {
+  return entry.blocks || [{ type: 'paragraph', text: entry.text }];
+}
+
+// Fold the next entry into this one, keeping this entry's time and place
+function mergeWithNext(i) {
+  const entry = entries[i];
+  const next = entries[i + 1];
+  entry.text = `${entry.text}\n\n${next.text}`;
+  if (entry.blocks || next.blocks) {
+    entry.blocks = [...entryBlocks(entry), ...entryBlocks(next)];
+  }
+  entries.splice(i + 1, 1);
+
+  // Deltas continuing the merged entry now continue this one
+  for (const other of entries) {
+    if (other.deltaOf === next.id) other.deltaOf = entry.id;
+  }
+  changed();
+}
+
+// Swap the text for a textarea; Ctrl+Enter saves, Escape cancels
+function startEdit(entry, textEl) {
+  const textarea = document.createElement('textarea');
+  textarea.value = entry.text;
+  textEl.replaceWith(textarea);
+  textarea.focus();
+
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    const text = textarea.value.trim();
+    if (save && text && text !== entry.text) {
+      entry.text = text;
+      // Hand-edited text no longer matches the captured structure
+      delete entry.blocks;
+      changed();
+    } else {
+      render();
+    }
+  };
+
+  textarea.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  textarea.addEventListener('blur', () => finish(true));
+}
+
+// ============================================================
+// RENDERING
+// ============================================================
+
+function render() {
+  entryList.textContent = '';
+
+  if (entries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = summary ? 'No entries left. Saving deletes this session.' : 'There is nothing to review.';
+    entryList.appendChild(empty);
+  }
+
+  entries.forEach((entry, i) => {
+    entryList.appendChild(renderEntry(entry, i));
+  });
+
+  renderDeleted();
+}
+
+function renderEntry(entry, i) {
+  const item = document.createElement('div');
+  item.className = 'entry';
+
+  const meta = document.createElement('div');
+  meta.className = 'entry-meta';
+  meta.textContent = entryMeta(entry, i);
+
+  const text = document.createElement('div');
+  text.className = 'entry-text';
+  text.textContent = entryText(entry);
+
+  const up = createButton('↑', () => moveEntry(i, -1));
+  up.title = 'Move up';
+  up.disabled = i === 0;
+  const down = createButton('↓', () => moveEntry(i, 1));
+  down.title = 'Move down';
+  down.disabled = i === entries.length - 1;
+
+  const edit = createButton('Edit', () => startEdit(entry, text));
+  edit.disabled = !isTextEntry(entry);
+
+  const next = entries[i + 1];
+  const merge = createButton('Merge with next', () => mergeWithNext(i));
+  merge.disabled = !next || !isTextEntry(entry) || !isTextEntry(next);
+
+  const actions = document.createElement('div');
+  actions.className = 'entry-actions';
+  actions.append(up, down, edit, merge, createButton('Delete', () => deleteEntry(i), 'danger'));
+
+  item.append(meta, text, actions);
+  return item;
+}
+
+function renderDeleted() {
+  deletedList.textContent = '';
+  deletedPanel.hidden = deleted.length === 0;
+
+  for (const item of deleted) {
+    const { entry } = item;
+    const row = document.createElement('div');
+    row.className = 'entry deleted';
+
+    const meta = document.createElement('div');
+    meta.className = 'entry-meta';
+    meta.textContent = [entry.frameId, entry.type || entry.source, entry.url].join(' | ');
+
+    const text = document.createElement('div');
+    text.className = 'entry-text';
+    text.textContent = entryText(entry);
+
+    const teach = createButton('Teach filter', () => teachFilter(item, teach));
+    teach.disabled = !canTeachFilter(entry) || Boolean(item.taught);
+    if (item.taught) teach.textContent = `Skipped on ${item.taught}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'entry-actions';
+    actions.append(createButton('Restore', () => restoreEntry(item)), teach);
+
+    row.append(meta, text, actions);
+    deletedList.appendChild(row);
+  }
+}
+
+// ============================================================
+// TEACHING SITE FILTERS
+// ============================================================
+
+// ruleMatches() comes from site-rules.js, as in the content script: the
+// first rule whose pattern matches the URL applies, so a taught pattern
+// goes into that rule
+
+function siteHost(href) {
+  try {
+    return new URL(href).hostname;
+  } catch (e) {
+    return '';
+  }
+}
+
+// Skip patterns are tested against the whole text of page text entries.
+// Growth entries hold only the added text, and captions and PDF pages
+// never go through the page's skip patterns.
+function canTeachFilter(entry) {
+  return isTextEntry(entry) && !entry.deltaOf && entry.type !== 'caption' &&
+         entry.source !== 'pdf-page' && Boolean(siteHost(entry.url));
+}
+
+// The whole text, literally, except that numbers may change
+// ("3 new messages" also skips "12 new messages")
+function skipPattern(text) {
+  const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\d+/g, '\\d+');
+  return '^' + escaped + '$';
+}
+
+async function teachFilter(item, button) {
+  const url = new URL(item.entry.url);
+  const pattern = skipPattern(item.entry.text);
+  const stored = await browser.storage.local.get('siteRules');
+  const siteRules = stored.siteRules || [];
+
+  let rule = siteRules.find(candidate => ruleMatches(candidate, url));
+  if (!rule) {
+    rule = { pattern: url.hostname, allow: true, include: '', exclude: '', skipText: [] };
+    siteRules.push(rule);
+  }
+  rule.skipText = rule.skipText || [];
+  if (!rule.skipText.includes(pattern)) {
+    rule.skipText.push(pattern);
+  }
+  await browser.storage.local.set({ siteRules });
+
+  item.taught = rule.pattern;
+  button.textContent = `Skipped on ${rule.pattern}`;
+  button.disabled = true;
+}
+
+loadSession();
@@ -0,0 +1,136 @@
+/*
+ * Copyright (C) 2025 Adrian Brozek
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * By using this AddOn, you commit to being a generally pleasant human being.
+
+ */
+
+// Search page script - queries the search index background.js keeps of
+// every library session and lists the matching entries
+
+const searchForm = document.getElementById('searchForm');
+const queryInput = document.getElementById('queryInput');
+const fromInput = document.getElementById('fromInput');
+const toInput = document.getElementById('toInput');
+const siteInput = document.getElementById('siteInput');
+const results = document.getElementById('results');
+
+function showMessage(text) {
+  results.textContent = '';
+  const message = document.createElement('div');
+  message.className = 'empty';
+  message.textContent = text;
+  results.appendChild(message);
+}
+
+// Date inputs give local calendar days; "to" includes the whole day
+function dayStart(value) {
+  return value ? new Date(`${value}T00:00:00`).getTime() : null;
+}
+
+function dayEnd(value) {
+  return value ? new Date(`${value}T23:59:59.999`).getTime() : null;
+}
+
+async function search() {
+  const query = queryInput.value.trim();
+  if (!query) {
+    results.textContent = '';
+    return;
+  }
+
+  const response = await browser.runtime.sendMessage({
+    action: 'search',
+    query: query,
+    from: dayStart(fromInput.value),
+    to: dayEnd(toInput.value),
+    site: siteInput.value.trim()
+  });
+
+  if (response.error) {
+    showMessage(`Search is not available: ${response.error}`);
+  } else if (response.results.length === 0) {
+    showMessage('No entries match.');
+  } else {
+    renderResults(response);
+  }
+}
+
+function renderResults({ results: items, total }) {
+  results.textContent = '';
+
+  const summary = document.createElement('div');
+  summary.className = 'summary';
+  summary.textContent = total > items.length
+    ? `${total} matching entries, showing the newest ${items.length}`
+    : `${total} matching ${total === 1 ? 'entry' : 'entries'}`;
+  results.appendChild(summary);
+
+  for (const item of items) {
+    results.appendChild(renderResult(item));
+  }
+}
+
+function renderResult(item) {
+  const result = document.createElement('div');
+  result.className = 'result';
+
+  const meta = document.createElement('div');
+  meta.className = 'result-meta';
+
+  const session = document.createElement('span');
+  session.className = 'result-session';
+  session.textContent = item.sessionName || 'Untitled session';
+
+  const time = document.createElement('span');
+  time.textContent = new Date(item.timestamp).toLocaleString();
+
+  const open = document.createElement('button');
+  open.type = 'button';
+  open.textContent = 'Open session';
+  open.addEventListener('click', () => {
+    browser.tabs.create({ url: browser.runtime.getURL(`review.html?id=${encodeURIComponent(item.sessionId)}`) });
+  });
+
+  meta.append(session, time, open);
+
+  const url = document.createElement('a');
+  url.className = 'result-url';
+  url.href = item.url;
+  url.target = '_blank';
+  url.rel = 'noopener';
+  url.textContent = item.url;
+
+  // Matching words come back marked, so no markup from the page is parsed
+  const snippet = document.createElement('div');
+  snippet.className = 'result-snippet';
+  for (const part of item.snippet) {
+    if (part.match) {
+      const mark = document.createElement('mark');
+      mark.textContent = part.text;
+      snippet.appendChild(mark);
+    } else {
+      snippet.appendChild(document.createTextNode(part.text));
+    }
+  }
+
+  result.append(meta, url, snippet);
+  return result;
+}
+
+searchForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  search();
+});
@@ -0,0 +1,39 @@
+/*
+ * Copyright (C) 2025 Adrian Brozek
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * By using this AddOn, you commit to being a generally pleasant human being.
+
+ */
+
+// Site rule matching, shared by the content script (which applies the
+// rules) and the review page (which teaches them skip patterns), so both
+// agree on which rule a URL falls under
+
+function patternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp('^' + escaped + '$', 'i');
+}
+
+// Patterns containing "://" match the whole URL; bare host patterns
+// match that host and its subdomains. "*" matches anything.
+function ruleMatches(rule, url) {
+  const pattern = (rule.pattern || '').trim();
+  if (!pattern) return false;
+  if (pattern.includes('://')) {
+    return patternToRegExp(pattern).test(url.href);
+  }
+  return patternToRegExp(pattern).test(url.hostname) ||
+         patternToRegExp('*.' + pattern).test(url.hostname);
+}